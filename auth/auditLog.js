@@ -0,0 +1,196 @@
+/**
+ * Audit Log - Append-only, hash-chained record of control-plane actions (data/audit.log, one JSON entry per line)
+ * Each entry stores the previous entry's hash, so editing or deleting a line breaks verify()
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../logging').logger.child({ component: 'audit' });
+
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_CHUNK = 64 * 1024;
+const REDACTED_FIELDS = /password|secret|token|apikey|api_key/i;
+// Request fields are recorded for context, not evidence; anything bigger is cut so one request can't bloat the log
+const MAX_FIELD_LENGTH = 256;
+const MAX_FIELDS = 50;
+
+function redact(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return Object.entries(value).reduce((clean, [key, field]) => {
+        clean[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : redact(field);
+        return clean;
+    }, {});
+}
+
+function clip(value) {
+    if (typeof value === 'string') {
+        return value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH)}…[${value.length - MAX_FIELD_LENGTH} more]` : value;
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.slice(0, MAX_FIELDS).map(clip);
+    return Object.entries(value).slice(0, MAX_FIELDS).reduce((clipped, [key, field]) => {
+        clipped[clip(key)] = clip(field);
+        return clipped;
+    }, {});
+}
+
+function hashEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+function resultFromStatus(status) {
+    if (status === 401 || status === 403) return 'denied';
+    return status < 400 ? 'success' : 'failure';
+}
+
+class AuditLog {
+    constructor(config = {}) {
+        this.filePath = path.join(config.dataDir || './data', 'audit.log');
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Reads backwards from the end until the whole last line is in hand; another process (the CLI) may have
+    // appended since our last write, so the tail is re-read every time rather than cached
+    async readLastEntry() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.filePath, 'r');
+            const { size } = await handle.stat();
+            let tail = Buffer.alloc(0);
+            let position = size;
+            while (position > 0) {
+                const length = Math.min(position, TAIL_CHUNK);
+                position -= length;
+                const chunk = Buffer.alloc(length);
+                await handle.read(chunk, 0, length, position);
+                tail = Buffer.concat([chunk, tail]);
+                // A newline before the last line's content means the line is complete
+                const end = tail.length - (tail[tail.length - 1] === 0x0a ? 1 : 0);
+                if (tail.lastIndexOf(0x0a, end - 1) !== -1) break;
+            }
+
+            const lines = tail.toString('utf8').trim().split('\n');
+            return lines.length > 0 && lines[lines.length - 1] ? JSON.parse(lines[lines.length - 1]) : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    record({ actor = null, role = null, source, action, params = {}, result = 'success', status = null, error = null, ip = null }) {
+        const write = async () => {
+            const last = await this.readLastEntry();
+            const entry = {
+                seq: last ? last.seq + 1 : 1,
+                timestamp: new Date().toISOString(),
+                actor,
+                role,
+                source,
+                action,
+                params: clip(redact(params)),
+                result,
+                status,
+                error,
+                ip,
+                prevHash: last ? last.hash : GENESIS_HASH
+            };
+            entry.hash = hashEntry(entry);
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+            return entry;
+        };
+
+        const pending = this.writeQueue.then(write);
+        this.writeQueue = pending.catch(error => {
+            logger.error('Failed to write audit entry', { error });
+        });
+        return pending;
+    }
+
+    // Express middleware: records the call once the response is sent, including denied attempts
+    middleware(action) {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                this.record({
+                    actor: req.user ? req.user.username : null,
+                    role: req.user ? req.user.role : null,
+                    source: 'rest',
+                    action: typeof action === 'function' ? action(req) : action,
+                    // Raw bodies (uploaded files) are left out; only parsed JSON/form fields are recorded
+                    params: { ...req.params, ...req.query, ...(req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {}) },
+                    result: resultFromStatus(res.statusCode),
+                    status: res.statusCode,
+                    ip: req.ip
+                }).catch(() => {});
+            });
+            next();
+        };
+    }
+
+    async *entries() {
+        let stream;
+        try {
+            stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+            for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+                if (line.trim()) yield JSON.parse(line);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        } finally {
+            if (stream) stream.destroy();
+        }
+    }
+
+    // Newest first; since/until are ISO timestamps
+    async query({ actor, action, source, result, since, until, limit = 50, offset = 0 } = {}) {
+        await this.writeQueue;
+        const matches = [];
+
+        for await (const entry of this.entries()) {
+            if (actor && entry.actor !== actor) continue;
+            if (action && !(entry.action === action || entry.action.startsWith(`${action}.`))) continue;
+            if (source && entry.source !== source) continue;
+            if (result && entry.result !== result) continue;
+            if (since && entry.timestamp < since) continue;
+            if (until && entry.timestamp > until) continue;
+            matches.push(entry);
+        }
+
+        matches.reverse();
+        return {
+            total: matches.length,
+            limit,
+            offset,
+            entries: matches.slice(offset, offset + limit)
+        };
+    }
+
+    async verify() {
+        await this.writeQueue;
+        let previous = GENESIS_HASH;
+        let count = 0;
+
+        try {
+            for await (const entry of this.entries()) {
+                const { hash, ...rest } = entry;
+                if (entry.prevHash !== previous || hashEntry(rest) !== hash) {
+                    return { valid: false, entries: count, brokenAt: entry.seq };
+                }
+                previous = hash;
+                count++;
+            }
+        } catch (error) {
+            // A line that no longer parses has been tampered with too
+            return { valid: false, entries: count, brokenAt: count + 1 };
+        }
+
+        return { valid: true, entries: count, brokenAt: null, lastHash: previous };
+    }
+}
+
+module.exports = { AuditLog, redact };
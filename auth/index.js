@@ -0,0 +1,230 @@
+/**
+ * Auth - Login sessions, API keys and Socket.IO handshake checks for the dashboard and control API
+ * Every route that isn't listed in PUBLIC_ROUTES requires a session cookie or an API key; authorize() adds role checks
+ */
+
+const crypto = require('crypto');
+const { UserStore } = require('./userStore');
+const SessionStore = require('./sessionStore');
+const { AuditLog } = require('./auditLog');
+const { ROLES, can, isRole, permissionsFor } = require('./permissions');
+const logger = require('../logging').logger.child({ component: 'auth' });
+
+const PUBLIC_ROUTES = [
+    { methods: ['GET', 'HEAD'], paths: ['/', '/index.html', '/styles.css', '/script.js', '/config.js', '/health', '/favicon.ico'] },
+    { methods: ['GET', 'HEAD'], paths: ['/login', '/login.html', '/login.js'] },
+    { methods: ['GET', 'HEAD'], prefix: '/api/services' },
+    { methods: ['POST'], paths: ['/login', '/logout', '/create-payment-intent', '/webhook'] }
+];
+
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60000;
+
+function isPublicRoute(method, path) {
+    return PUBLIC_ROUTES.some(route => route.methods.includes(method) &&
+        (route.prefix ? path === route.prefix || path.startsWith(`${route.prefix}/`) : route.paths.includes(path)));
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+// API_KEYS=backup:3f9c...,grafana:77ab...:viewer (name:key[:role]; the name shows up as the acting user)
+function parseApiKeys(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const parts = entry.split(':');
+            const [name, key, role = 'operator'] = parts.length === 1 ? ['default', parts[0]] : parts;
+            if (!isRole(role)) {
+                logger.warn(`API key "${name}" has unknown role "${role}", treating it as a viewer`);
+            }
+            return { name, hash: hashKey(key), role: isRole(role) ? role : 'viewer' };
+        });
+}
+
+function parseCookies(header) {
+    return String(header || '').split(';').reduce((cookies, part) => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            const name = part.slice(0, separator).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                cookies[name] = part.slice(separator + 1).trim();
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+// Only same-site relative paths are followed after login
+function safeRedirect(target) {
+    return typeof target === 'string' && /^\/(?![/\\])/.test(target) ? target : '/dashboard';
+}
+
+function authConfigFromEnv(env = process.env) {
+    let secret = env.SESSION_SECRET;
+    if (!secret || secret === 'your_session_secret_here') {
+        logger.warn('SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    return {
+        dataDir: env.DATA_DIR || './data',
+        secret,
+        sessionTtl: parseInt(env.SESSION_TTL_MS) || 8 * 3600000,
+        secureCookies: env.SESSION_COOKIE_SECURE === 'true',
+        apiKeys: parseApiKeys(env.API_KEYS),
+        adminUsername: env.ADMIN_USERNAME || null,
+        adminPassword: env.ADMIN_PASSWORD || null
+    };
+}
+
+class Authenticator {
+    constructor(config = {}) {
+        this.cookieName = 'domjuan.sid';
+        this.secureCookies = !!config.secureCookies;
+        this.apiKeys = config.apiKeys || [];
+        this.adminUsername = config.adminUsername;
+        this.adminPassword = config.adminPassword;
+        this.users = new UserStore({ dataDir: config.dataDir });
+        this.sessions = new SessionStore({ secret: config.secret, ttl: config.sessionTtl });
+        this.failedLogins = new Map();
+    }
+
+    async load() {
+        await this.users.load();
+
+        // First boot: ADMIN_USERNAME/ADMIN_PASSWORD create the initial account
+        if (this.users.users.size === 0 && this.adminUsername && this.adminPassword) {
+            await this.users.create(this.adminUsername, this.adminPassword, 'admin');
+            logger.info(`Created initial dashboard user ${this.adminUsername}`);
+        }
+        if (this.users.users.size === 0 && this.apiKeys.length === 0) {
+            logger.warn('No dashboard users or API keys configured; set ADMIN_USERNAME/ADMIN_PASSWORD or run `npm run user:add`');
+        }
+    }
+
+    verifyApiKey(key) {
+        if (!key) return null;
+        const hash = hashKey(key);
+        const match = this.apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+        return match ? { username: `apikey:${match.name}`, method: 'apiKey', role: match.role } : null;
+    }
+
+    // Resolves the caller from an API key header, a bearer token or the session cookie
+    identify(headers = {}) {
+        const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+        const apiKey = headers['x-api-key'] || (bearer && bearer[1]);
+        if (apiKey) return this.verifyApiKey(apiKey);
+
+        // Roles are read from the store on every request so changes apply to live sessions
+        const session = this.sessions.get(parseCookies(headers.cookie)[this.cookieName]);
+        const user = session && this.users.get(session.user.username);
+        return user ? { username: user.username, method: 'session', role: user.role } : null;
+    }
+
+    authorize(permission) {
+        return (req, res, next) => {
+            if (req.user && can(req.user.role, permission)) return next();
+            res.status(403).json({ error: `Forbidden: requires ${permission}`, role: req.user ? req.user.role : null });
+        };
+    }
+
+    // Sockets outlive role changes, so their user is re-read before each privileged event
+    current(user) {
+        if (!user || user.method !== 'session') return user;
+        const stored = this.users.get(user.username);
+        return stored ? { ...user, role: stored.role } : null;
+    }
+
+    describe(user) {
+        return user ? { ...user, permissions: permissionsFor(user.role) } : null;
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            req.user = this.identify(req.headers);
+            if (req.user || isPublicRoute(req.method, req.path)) return next();
+
+            // Scrapers and API clients get a 401 they can act on instead of the login page
+            if (req.path.startsWith('/api/') || req.path === '/metrics' || !req.accepts('html')) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        };
+    }
+
+    isLockedOut(key) {
+        const attempts = (this.failedLogins.get(key) || []).filter(at => at > Date.now() - FAILED_LOGIN_WINDOW_MS);
+        this.failedLogins.set(key, attempts);
+        return attempts.length >= MAX_FAILED_LOGINS;
+    }
+
+    login() {
+        return async (req, res) => {
+            const wantsJson = req.is('application/json');
+            const { username, password } = req.body || {};
+            const next = safeRedirect(req.body && req.body.next);
+            const attemptKey = `${req.ip}:${String(username || '').toLowerCase()}`;
+
+            const fail = (status, message) => {
+                if (wantsJson) return res.status(status).json({ error: message });
+                res.redirect(303, `/login?error=${status === 429 ? 'locked' : 'invalid'}&next=${encodeURIComponent(next)}`);
+            };
+
+            try {
+                if (this.isLockedOut(attemptKey)) {
+                    return fail(429, 'Too many failed logins, try again later');
+                }
+
+                const user = await this.users.verify(username, password);
+                if (!user) {
+                    this.failedLogins.get(attemptKey).push(Date.now());
+                    return fail(401, 'Invalid username or password');
+                }
+
+                this.failedLogins.delete(attemptKey);
+                const { cookie } = this.sessions.create(user);
+                res.cookie(this.cookieName, cookie, {
+                    httpOnly: true,
+                    sameSite: 'lax',
+                    secure: this.secureCookies,
+                    maxAge: this.sessions.ttl
+                });
+
+                if (wantsJson) return res.json({ user });
+                res.redirect(303, next);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        };
+    }
+
+    logout() {
+        return (req, res) => {
+            this.sessions.destroy(parseCookies(req.headers.cookie)[this.cookieName]);
+            res.clearCookie(this.cookieName);
+
+            if (req.is('application/json')) return res.json({ success: true });
+            res.redirect(303, '/login');
+        };
+    }
+
+    socketMiddleware() {
+        return (socket, next) => {
+            const { auth = {}, headers = {} } = socket.handshake;
+            const user = auth.apiKey ? this.verifyApiKey(auth.apiKey) : this.identify(headers);
+            if (!user) {
+                return next(new Error('Unauthorized'));
+            }
+            socket.data.user = user;
+            next();
+        };
+    }
+}
+
+module.exports = { Authenticator, AuditLog, authConfigFromEnv, isPublicRoute, PUBLIC_ROUTES, can, ROLES };
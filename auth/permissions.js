@@ -0,0 +1,34 @@
+/**
+ * Permissions - Roles and the permission matrix enforced on routes and socket events
+ * viewer < operator < admin; every signed-in user can read dashboard data
+ */
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+    'dashboard:read': ['viewer', 'operator', 'admin'],
+    'metrics:read': ['viewer', 'operator', 'admin'],
+    'bots:control': ['operator', 'admin'],
+    'approvals:decide': ['operator', 'admin'],
+    'exports:read': ['operator', 'admin'],
+    'domains:import': ['operator', 'admin'],
+    'logs:read': ['operator', 'admin'],
+    'bots:configure': ['admin'],
+    'payments:admin': ['admin'],
+    'users:manage': ['admin'],
+    'audit:read': ['admin']
+};
+
+function can(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor, isRole };
@@ -0,0 +1,65 @@
+/**
+ * Session Store - Server-side login sessions referenced by an HMAC-signed cookie
+ * Sessions are held in memory and expire after SESSION_TTL_MS of inactivity
+ */
+
+const crypto = require('crypto');
+
+class SessionStore {
+    constructor(config = {}) {
+        this.secret = config.secret;
+        this.ttl = config.ttl || 8 * 3600000;
+        this.sessions = new Map();
+        this.sweepTimer = setInterval(() => this.sweep(), 60000);
+        this.sweepTimer.unref();
+    }
+
+    sign(id) {
+        const signature = crypto.createHmac('sha256', this.secret).update(id).digest('base64url');
+        return `${id}.${signature}`;
+    }
+
+    unsign(value) {
+        const [id, signature] = String(value || '').split('.');
+        if (!id || !signature) return null;
+
+        const expected = Buffer.from(this.sign(id).split('.')[1]);
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? id : null;
+    }
+
+    create(user) {
+        const id = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        this.sessions.set(id, { id, user, createdAt: now, expiresAt: now + this.ttl });
+        return { session: this.sessions.get(id), cookie: this.sign(id) };
+    }
+
+    // Looking a session up slides its expiry forward
+    get(cookieValue) {
+        const id = this.unsign(cookieValue);
+        const session = id && this.sessions.get(id);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        session.expiresAt = Date.now() + this.ttl;
+        return session;
+    }
+
+    destroy(cookieValue) {
+        const id = this.unsign(cookieValue);
+        return id ? this.sessions.delete(id) : false;
+    }
+
+    sweep() {
+        const now = Date.now();
+        this.sessions.forEach((session, id) => {
+            if (session.expiresAt <= now) this.sessions.delete(id);
+        });
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,183 @@
+/**
+ * User Store - Local dashboard accounts with scrypt-hashed passwords
+ * Accounts live in data/users.json; run `npm run user:add -- <username> <password> [role]` to create one
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { ROLES, isRole } = require('./permissions');
+const logger = require('../logging').logger.child({ component: 'users' });
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+class UserStore {
+    constructor(config = {}) {
+        this.filePath = path.join(config.dataDir || './data', 'users.json');
+        this.users = new Map();
+        this.writeQueue = Promise.resolve();
+        // mtime of users.json as of our last read or write; a different one means another process changed it
+        this.loadedMtime = null;
+        // Hashed once so unknown usernames cost the same scrypt work as real ones
+        this.dummyHash = null;
+    }
+
+    async load() {
+        try {
+            const { mtimeMs } = await fs.stat(this.filePath);
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            const users = new Map();
+            // Accounts created before roles existed had full access, so they stay admins
+            (data.users || []).forEach(user => users.set(user.username, { role: 'admin', ...user }));
+            this.users = users;
+            this.loadedMtime = mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read user accounts', { error });
+            }
+        }
+        return this.users.size;
+    }
+
+    // `npm run user:add` writes users.json directly, possibly while the server runs. Re-reading it before logins
+    // and changes lets those accounts sign in, and keeps our next save from overwriting them
+    async refresh() {
+        await this.writeQueue;
+        try {
+            const { mtimeMs } = await fs.stat(this.filePath);
+            if (mtimeMs === this.loadedMtime) return;
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        await this.load();
+    }
+
+    save() {
+        const data = JSON.stringify({ users: Array.from(this.users.values()) }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.writeFile(tmpPath, data, { mode: 0o600 }))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .then(() => fs.stat(this.filePath))
+            .then(({ mtimeMs }) => {
+                this.loadedMtime = mtimeMs;
+            })
+            .catch(error => {
+                logger.error('Failed to persist user accounts', { error });
+            });
+        return this.writeQueue;
+    }
+
+    async create(username, password, role = 'viewer') {
+        const name = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+            throw new Error('Username must be 3-32 characters of letters, digits, ".", "_" or "-"');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (!isRole(role)) {
+            throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+        }
+        await this.refresh();
+        if (this.users.has(name)) {
+            throw new Error(`User "${name}" already exists`);
+        }
+
+        const user = {
+            username: name,
+            role,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.users.set(name, user);
+        await this.save();
+        return this.describe(user);
+    }
+
+    async verify(username, password) {
+        await this.refresh();
+        const user = this.users.get(String(username || '').trim().toLowerCase());
+        if (!user) {
+            this.dummyHash = this.dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+            await verifyPassword(String(password || ''), this.dummyHash);
+            return null;
+        }
+        return (await verifyPassword(String(password || ''), user.passwordHash)) ? this.describe(user) : null;
+    }
+
+    get(username) {
+        const user = this.users.get(username);
+        return user ? this.describe(user) : null;
+    }
+
+    list() {
+        return Array.from(this.users.values()).map(user => this.describe(user));
+    }
+
+    async setRole(username, role) {
+        await this.refresh();
+        const user = this.users.get(username);
+        if (!user) return null;
+        if (!isRole(role)) {
+            throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+        }
+
+        user.role = role;
+        await this.save();
+        return this.describe(user);
+    }
+
+    async remove(username) {
+        await this.refresh();
+        if (!this.users.delete(username)) return false;
+        await this.save();
+        return true;
+    }
+
+    describe(user) {
+        return { username: user.username, role: user.role, createdAt: user.createdAt };
+    }
+}
+
+if (require.main === module) {
+    const { AuditLog } = require('./auditLog');
+    const [username, password, role] = process.argv.slice(2);
+    const dataDir = process.env.DATA_DIR || './data';
+    const store = new UserStore({ dataDir });
+    const audit = new AuditLog({ dataDir });
+    const entry = { actor: process.env.USER || 'cli', source: 'cli', action: 'user.create', params: { username, role } };
+
+    store.load()
+        .then(() => store.create(username, password, role))
+        .then(user => {
+            console.log(`Created ${user.role} ${user.username}`);
+            return audit.record({ ...entry, result: 'success' });
+        })
+        .catch(error => {
+            console.error('Failed to create user:', error.message);
+            return audit.record({ ...entry, result: 'failure', error: error.message }).finally(() => process.exit(1));
+        });
+}
+
+module.exports = { UserStore, hashPassword, verifyPassword };
@@ -0,0 +1,191 @@
+/**
+ * Approval Queue - Holds expensive acquisitions until a human approves or rejects them
+ * Pending items survive restarts (data/approvals.json) and expire after a configurable TTL
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { createIdSource, SystemClock } = require('./simulation');
+const logger = require('../logging').logger.child({ component: 'approvals' });
+
+const HISTORY_LIMIT = 200;
+
+class ApprovalQueue extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.filePath = path.join(config.dataDir || './data', 'approvals.json');
+        this.valueThreshold = config.valueThreshold !== undefined ? config.valueThreshold : null;
+        this.ttl = config.ttl || 86400000;
+        this.sweepInterval = config.sweepInterval || 60000;
+        this.clock = config.clock || new SystemClock();
+        this.newId = config.newId || createIdSource();
+        this.items = new Map();
+        this.sweepTimer = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            (data.items || []).forEach(item => this.items.set(item.id, item));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read approval queue', { error });
+            }
+        }
+        this.sweep();
+    }
+
+    save() {
+        const data = JSON.stringify({ items: Array.from(this.items.values()) }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to persist approval queue', { error });
+            });
+        return this.writeQueue;
+    }
+
+    startExpiryTimer() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = this.clock.setInterval(() => this.sweep(), this.sweepInterval);
+        this.sweepTimer.unref();
+    }
+
+    stopExpiryTimer() {
+        if (this.sweepTimer) {
+            this.clock.clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    requiresApproval(value) {
+        return this.valueThreshold !== null && typeof value === 'number' && value >= this.valueThreshold;
+    }
+
+    isPending(domain) {
+        const name = domain.toLowerCase();
+        return Array.from(this.items.values()).some(item => item.domain === name && item.status === 'pending');
+    }
+
+    enqueue({ domain, bot, botKey, type, value, metadata = {} }) {
+        const now = this.clock.now();
+        const item = {
+            id: this.newId(),
+            domain: domain.toLowerCase(),
+            bot,
+            botKey,
+            type,
+            value,
+            metadata,
+            status: 'pending',
+            requestedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttl).toISOString(),
+            decidedAt: null,
+            decidedBy: null,
+            reason: null
+        };
+
+        this.items.set(item.id, item);
+        this.trimHistory();
+        this.save();
+        this.emit('requested', { ...item });
+        return { ...item };
+    }
+
+    decide(id, status, { actor = null, reason = null } = {}) {
+        const item = this.items.get(id);
+        if (!item) return null;
+
+        if (item.status !== 'pending') {
+            const error = new Error(`Approval ${id} is already ${item.status}`);
+            error.code = 'APPROVAL_NOT_PENDING';
+            throw error;
+        }
+
+        // The sweep runs once a minute, so an item can be past its TTL and still marked pending
+        if (Date.parse(item.expiresAt) <= this.clock.now()) {
+            this.sweep();
+            const error = new Error(`Approval ${id} has expired`);
+            error.code = 'APPROVAL_NOT_PENDING';
+            throw error;
+        }
+
+        item.status = status;
+        item.decidedAt = new Date(this.clock.now()).toISOString();
+        item.decidedBy = actor;
+        item.reason = reason;
+
+        this.save();
+        this.emit('decided', { ...item });
+        return { ...item };
+    }
+
+    approve(id, options = {}) {
+        return this.decide(id, 'approved', options);
+    }
+
+    reject(id, options = {}) {
+        return this.decide(id, 'rejected', options);
+    }
+
+    sweep() {
+        const now = this.clock.now();
+        let expired = 0;
+
+        this.items.forEach(item => {
+            if (item.status === 'pending' && Date.parse(item.expiresAt) <= now) {
+                item.status = 'expired';
+                item.decidedAt = new Date(now).toISOString();
+                expired++;
+                this.emit('decided', { ...item });
+            }
+        });
+
+        if (expired > 0) {
+            this.save();
+        }
+        return expired;
+    }
+
+    // Decided items are kept for the dashboard history, but only the most recent ones
+    trimHistory() {
+        const decided = Array.from(this.items.values())
+            .filter(item => item.status !== 'pending')
+            .sort((a, b) => a.decidedAt.localeCompare(b.decidedAt));
+
+        decided.slice(0, Math.max(decided.length - HISTORY_LIMIT, 0)).forEach(item => this.items.delete(item.id));
+    }
+
+    get(id) {
+        const item = this.items.get(id);
+        return item ? { ...item } : null;
+    }
+
+    list(filter = {}) {
+        return Array.from(this.items.values())
+            .filter(item => !filter.status || item.status === filter.status)
+            .filter(item => !filter.bot || item.bot === filter.bot || item.botKey === filter.bot)
+            .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt))
+            .map(item => ({ ...item }));
+    }
+
+    getStats() {
+        const stats = { pending: 0, approved: 0, rejected: 0, expired: 0, valueThreshold: this.valueThreshold };
+        this.items.forEach(item => { stats[item.status]++; });
+        return stats;
+    }
+}
+
+function approvalConfigFromEnv(env = process.env) {
+    const threshold = parseFloat(env.APPROVAL_VALUE_THRESHOLD);
+    return {
+        valueThreshold: Number.isFinite(threshold) ? threshold : null,
+        ttl: parseInt(env.APPROVAL_TTL_MS) || 86400000
+    };
+}
+
+module.exports = { ApprovalQueue, approvalConfigFromEnv };
@@ -0,0 +1,272 @@
+/**
+ * Availability Checker - Decides whether a domain is free, expiring or registered
+ * Queries RDAP over HTTP first and falls back to WHOIS on port 43, caching results per domain
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../../logging').logger.child({ component: 'availability' });
+
+const DEFAULT_SERVERS = {
+    com: { rdap: 'https://rdap.verisign.com/com/v1/', whois: 'whois.verisign-grs.com' },
+    net: { rdap: 'https://rdap.verisign.com/net/v1/', whois: 'whois.verisign-grs.com' },
+    org: { rdap: 'https://rdap.publicinterestregistry.org/rdap/', whois: 'whois.pir.org' },
+    io: { rdap: 'https://rdap.identitydigital.services/rdap/', whois: 'whois.nic.io' },
+    ai: { rdap: null, whois: 'whois.nic.ai' },
+    tech: { rdap: 'https://rdap.centralnic.com/tech/', whois: 'whois.nic.tech' }
+};
+
+// WHOIS servers phrase "not registered" differently; these cover the registries above
+const WHOIS_AVAILABLE_PATTERNS = [
+    /^No match for/im,
+    /^NOT FOUND/im,
+    /^No Data Found/im,
+    /^Domain not found/im,
+    /^The queried object does not exist/im,
+    /Status:\s*(AVAILABLE|free)/i
+];
+
+const EXPIRING_STATUSES = ['pending delete', 'pendingdelete', 'redemption period', 'redemptionperiod'];
+
+class AvailabilityChecker {
+    constructor(config = {}) {
+        this.servers = { ...DEFAULT_SERVERS, ...(config.servers || {}) };
+        this.rdapBaseUrl = config.rdapBaseUrl || null;
+        this.whoisHost = config.whoisHost || null;
+        this.whoisPort = config.whoisPort || 43;
+        this.timeout = config.timeout || 8000;
+        this.cacheTtl = config.cacheTtl !== undefined ? config.cacheTtl : 600000;
+        this.maxCacheEntries = config.maxCacheEntries || 5000;
+        this.expiringWithinDays = config.expiringWithinDays || 30;
+        this.rateLimiter = config.rateLimiter || null;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.cache = new Map();
+        this.stats = {
+            lookups: 0,
+            cacheHits: 0,
+            rdapLookups: 0,
+            whoisLookups: 0,
+            failures: 0
+        };
+    }
+
+    getServers(domain) {
+        const tld = domain.split('.').slice(1).join('.');
+        const servers = this.servers[tld] || {};
+        return {
+            rdap: this.rdapBaseUrl || servers.rdap || null,
+            whois: this.whoisHost || servers.whois || null
+        };
+    }
+
+    async check(domain) {
+        const name = domain.toLowerCase();
+        this.stats.lookups++;
+
+        const cached = this.cache.get(name);
+        if (cached && cached.expires > this.clock.now()) {
+            this.stats.cacheHits++;
+            return { ...cached.result, cached: true };
+        }
+
+        const result = await this.lookup(name);
+        this.remember(name, result);
+        return result;
+    }
+
+    async lookup(domain) {
+        const servers = this.getServers(domain);
+        const errors = [];
+
+        if (!servers.rdap && !servers.whois) {
+            return this.buildResult(domain, 'unknown', { source: null, error: `No RDAP or WHOIS server known for ${domain}` });
+        }
+
+        if (servers.rdap) {
+            try {
+                this.stats.rdapLookups++;
+                return await this.throttled('rdap', () => this.lookupRdap(domain, servers.rdap));
+            } catch (error) {
+                errors.push(`RDAP: ${error.message}`);
+            }
+        }
+
+        if (servers.whois) {
+            try {
+                this.stats.whoisLookups++;
+                return await this.throttled('whois', () => this.lookupWhois(domain, servers.whois));
+            } catch (error) {
+                errors.push(`WHOIS: ${error.message}`);
+            }
+        }
+
+        this.stats.failures++;
+        throw new Error(`Availability lookup failed for ${domain} (${errors.join('; ')})`);
+    }
+
+    // Cache hits never reach here, so only real network lookups spend rate-limit tokens
+    throttled(source, fn) {
+        return this.rateLimiter ? this.rateLimiter.schedule(source, 'lookup', fn) : fn();
+    }
+
+    async lookupRdap(domain, baseUrl) {
+        const url = new URL(`domain/${encodeURIComponent(domain)}`, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+        const response = await this.httpGet(url);
+
+        if (response.status === 404) {
+            return this.buildResult(domain, 'available', { source: 'rdap' });
+        }
+        if (response.status !== 200) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(response.body);
+        } catch (error) {
+            throw new Error('invalid RDAP JSON');
+        }
+
+        const statuses = (data.status || []).map(s => s.toLowerCase());
+        const expiration = (data.events || []).find(e => e.eventAction === 'expiration');
+        const expiresAt = expiration ? new Date(expiration.eventDate) : null;
+
+        return this.buildResult(domain, this.classify(statuses, expiresAt), {
+            source: 'rdap',
+            expiresAt,
+            registryStatus: statuses
+        });
+    }
+
+    async lookupWhois(domain, host) {
+        const text = await this.whoisQuery(domain, host);
+
+        if (WHOIS_AVAILABLE_PATTERNS.some(pattern => pattern.test(text))) {
+            return this.buildResult(domain, 'available', { source: 'whois' });
+        }
+
+        const expiryMatch = text.match(/(?:Registry Expiry Date|Expiration Date|Expiry Date|paid-till):\s*(\S+)/i);
+        const expiresAt = expiryMatch && !isNaN(Date.parse(expiryMatch[1])) ? new Date(expiryMatch[1]) : null;
+        const statuses = [...text.matchAll(/(?:Domain )?Status:\s*([^\r\n]+)/gi)].map(m => m[1].trim().toLowerCase());
+
+        return this.buildResult(domain, this.classify(statuses, expiresAt), {
+            source: 'whois',
+            expiresAt,
+            registryStatus: statuses
+        });
+    }
+
+    classify(statuses, expiresAt) {
+        if (statuses.some(status => EXPIRING_STATUSES.some(expiring => status.includes(expiring)))) {
+            return 'expiring';
+        }
+        if (expiresAt && expiresAt.getTime() - this.clock.now() < this.expiringWithinDays * 86400000) {
+            return 'expiring';
+        }
+        return 'registered';
+    }
+
+    buildResult(domain, status, extra = {}) {
+        return {
+            domain,
+            status,
+            available: status === 'available',
+            discoverable: status === 'available' || status === 'expiring',
+            expiresAt: null,
+            checkedAt: new Date(this.clock.now()),
+            cached: false,
+            ...extra
+        };
+    }
+
+    remember(domain, result) {
+        // Unknown results are not cached so a server added to the map takes effect immediately
+        if (this.cacheTtl <= 0 || result.status === 'unknown') return;
+
+        if (this.cache.size >= this.maxCacheEntries) {
+            const oldest = this.cache.keys().next().value;
+            this.cache.delete(oldest);
+        }
+        this.cache.set(domain, { result, expires: this.clock.now() + this.cacheTtl });
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    httpGet(url, redirects = 3) {
+        const transport = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.get(url, {
+                headers: { Accept: 'application/rdap+json, application/json' },
+                timeout: this.timeout
+            }, (res) => {
+                if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirects > 0) {
+                    res.resume();
+                    resolve(this.httpGet(new URL(res.headers.location, url), redirects - 1));
+                    return;
+                }
+
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, body: data }));
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`timed out after ${this.timeout}ms`)));
+            req.on('error', reject);
+        });
+    }
+
+    whoisQuery(domain, host) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            const socket = net.createConnection({ host, port: this.whoisPort }, () => {
+                socket.write(`${domain}\r\n`);
+            });
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(this.timeout);
+            socket.on('data', chunk => { data += chunk; });
+            socket.on('end', () => resolve(data));
+            socket.on('timeout', () => socket.destroy(new Error(`timed out after ${this.timeout}ms`)));
+            socket.on('error', reject);
+        });
+    }
+
+    getStats() {
+        return { ...this.stats, cacheSize: this.cache.size };
+    }
+}
+
+function parseServers(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn('AVAILABILITY_SERVERS is not valid JSON, using default TLD servers');
+        return {};
+    }
+}
+
+// 0 turns the cache off, so it can't use the `|| default` shortcut; anything unparseable falls back to the default
+function cacheTtlFromEnv(value) {
+    const ttl = parseInt(value);
+    return Number.isFinite(ttl) && ttl >= 0 ? ttl : 600000;
+}
+
+function availabilityConfigFromEnv(env = process.env) {
+    return {
+        rdapBaseUrl: env.RDAP_BASE_URL || null,
+        whoisHost: env.WHOIS_HOST || null,
+        whoisPort: parseInt(env.WHOIS_PORT) || 43,
+        timeout: parseInt(env.AVAILABILITY_TIMEOUT_MS) || 8000,
+        cacheTtl: cacheTtlFromEnv(env.AVAILABILITY_CACHE_TTL_MS),
+        expiringWithinDays: parseInt(env.EXPIRING_WITHIN_DAYS) || 30,
+        servers: parseServers(env.AVAILABILITY_SERVERS)
+    };
+}
+
+module.exports = { AvailabilityChecker, availabilityConfigFromEnv, DEFAULT_SERVERS };
@@ -0,0 +1,13 @@
+/**
+ * Domain availability - RDAP/WHOIS checker and the local stub servers used to test it
+ */
+
+const { AvailabilityChecker, availabilityConfigFromEnv, DEFAULT_SERVERS } = require('./availabilityChecker');
+const { startAvailabilityStub } = require('./stubServer');
+
+module.exports = {
+    AvailabilityChecker,
+    availabilityConfigFromEnv,
+    DEFAULT_SERVERS,
+    startAvailabilityStub
+};
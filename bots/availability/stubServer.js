@@ -0,0 +1,132 @@
+/**
+ * Availability Stub Server - Local RDAP (HTTP) and WHOIS (TCP) servers for offline testing
+ * Run standalone with `npm run stub:availability` and point RDAP_BASE_URL / WHOIS_HOST at it
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+
+function createStubRegistry(options = {}) {
+    const registered = new Set((options.registered || []).map(d => d.toLowerCase()));
+    const expiring = new Set((options.expiring || []).map(d => d.toLowerCase()));
+    const available = new Set((options.available || []).map(d => d.toLowerCase()));
+    const takenRatio = options.takenRatio !== undefined ? options.takenRatio : 0.6;
+    const expiringRatio = options.expiringRatio !== undefined ? options.expiringRatio : 0.1;
+
+    // Explicit lists win; everything else is decided by a stable hash of the name
+    return function statusOf(domain) {
+        const name = domain.toLowerCase();
+        if (available.has(name)) return 'available';
+        if (expiring.has(name)) return 'expiring';
+        if (registered.has(name)) return 'registered';
+
+        const bucket = (crypto.createHash('sha1').update(name).digest().readUInt32BE(0) % 1000) / 1000;
+        if (bucket < expiringRatio) return 'expiring';
+        if (bucket < expiringRatio + takenRatio) return 'registered';
+        return 'available';
+    };
+}
+
+function expirationFor(status) {
+    const days = status === 'expiring' ? 5 : 365;
+    return new Date(Date.now() + days * 86400000).toISOString();
+}
+
+function createRdapServer(statusOf) {
+    return http.createServer((req, res) => {
+        const match = req.url.match(/\/domain\/([^/?]+)/);
+        if (!match) {
+            res.writeHead(400, { 'Content-Type': 'application/rdap+json' });
+            return res.end(JSON.stringify({ errorCode: 400, title: 'Bad request' }));
+        }
+
+        const domain = decodeURIComponent(match[1]).toLowerCase();
+        const status = statusOf(domain);
+
+        if (status === 'available') {
+            res.writeHead(404, { 'Content-Type': 'application/rdap+json' });
+            return res.end(JSON.stringify({ errorCode: 404, title: 'Not Found' }));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/rdap+json' });
+        res.end(JSON.stringify({
+            objectClassName: 'domain',
+            ldhName: domain,
+            status: status === 'expiring' ? ['pending delete'] : ['active'],
+            events: [
+                { eventAction: 'registration', eventDate: new Date(Date.now() - 365 * 86400000).toISOString() },
+                { eventAction: 'expiration', eventDate: expirationFor(status) }
+            ]
+        }));
+    });
+}
+
+function createWhoisServer(statusOf) {
+    return net.createServer((socket) => {
+        let query = '';
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            query += chunk;
+            if (!query.includes('\n')) return;
+
+            const domain = query.trim().toLowerCase();
+            const status = statusOf(domain);
+
+            if (status === 'available') {
+                socket.end(`No match for "${domain.toUpperCase()}".\r\n`);
+                return;
+            }
+
+            socket.end([
+                `Domain Name: ${domain.toUpperCase()}`,
+                `Registry Expiry Date: ${expirationFor(status)}`,
+                `Domain Status: ${status === 'expiring' ? 'pendingDelete' : 'ok'}`,
+                ''
+            ].join('\r\n'));
+        });
+        socket.on('error', () => socket.destroy());
+    });
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address().port));
+    });
+}
+
+async function startAvailabilityStub(options = {}) {
+    const host = options.host || '127.0.0.1';
+    const statusOf = createStubRegistry(options);
+    const rdapServer = createRdapServer(statusOf);
+    const whoisServer = createWhoisServer(statusOf);
+
+    const rdapPort = await listen(rdapServer, options.rdapPort || 0, host);
+    const whoisPort = await listen(whoisServer, options.whoisPort || 0, host);
+
+    return {
+        rdapUrl: `http://${host}:${rdapPort}/`,
+        whoisHost: host,
+        whoisPort,
+        close: () => Promise.all([
+            new Promise(resolve => rdapServer.close(resolve)),
+            new Promise(resolve => whoisServer.close(resolve))
+        ])
+    };
+}
+
+if (require.main === module) {
+    startAvailabilityStub({
+        rdapPort: parseInt(process.env.STUB_RDAP_PORT) || 4020,
+        whoisPort: parseInt(process.env.STUB_WHOIS_PORT) || 4043
+    }).then(stub => {
+        console.log(`Stub RDAP server listening at ${stub.rdapUrl}`);
+        console.log(`Stub WHOIS server listening at ${stub.whoisHost}:${stub.whoisPort}`);
+    }).catch(error => {
+        console.error('Failed to start availability stub:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { startAvailabilityStub, createStubRegistry };
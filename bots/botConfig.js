@@ -0,0 +1,104 @@
+/**
+ * Bot Config - Schema, validation and persistence for runtime-tunable bot settings
+ * Overrides are kept in data/bot-config.json keyed by bot key and re-applied on boot
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'botConfig' });
+
+const BOT_CONFIG_SCHEMA = {
+    searchInterval: { type: 'integer', min: 500, max: 3600000 },
+    searchDepth: { type: 'integer', min: 1, max: 50 },
+    maxConsecutiveErrors: { type: 'integer', min: 1, max: 100 },
+    backoffMultiplier: { type: 'number', min: 1, max: 10 },
+    minAcquisitionScore: { type: 'integer', min: 0, max: 100 }
+};
+
+class ValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+function validateBotConfig(patch, schema = BOT_CONFIG_SCHEMA) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new ValidationError('Config must be a JSON object');
+    }
+
+    const errors = [];
+    const config = {};
+
+    Object.entries(patch).forEach(([key, value]) => {
+        const rule = Object.hasOwn(schema, key) ? schema[key] : null;
+        if (!rule) {
+            errors.push(`${key} is not a configurable setting`);
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${key} must be a number`);
+            return;
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+            errors.push(`${key} must be an integer`);
+            return;
+        }
+        if (value < rule.min || value > rule.max) {
+            errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+            return;
+        }
+        config[key] = value;
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid bot config', errors);
+    }
+    if (Object.keys(config).length === 0) {
+        throw new ValidationError('No settings to update', [`Allowed settings: ${Object.keys(schema).join(', ')}`]);
+    }
+
+    return config;
+}
+
+class BotConfigStore {
+    constructor(config = {}) {
+        this.filePath = path.join(config.dataDir || './data', 'bot-config.json');
+        this.overrides = {};
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.overrides = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read bot config overrides', { error });
+            }
+            this.overrides = {};
+        }
+        return this.overrides;
+    }
+
+    get(botKey) {
+        return { ...(this.overrides[botKey] || {}) };
+    }
+
+    set(botKey, config) {
+        this.overrides[botKey] = { ...(this.overrides[botKey] || {}), ...config };
+
+        const data = JSON.stringify(this.overrides, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to persist bot config overrides', { error });
+            });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = { BOT_CONFIG_SCHEMA, ValidationError, validateBotConfig, BotConfigStore };
@@ -1,20 +1,43 @@
 /**
- * Bot Manager - Handles the three domain discovery bots
- * Domain Hunter, Asset Seeker, Recursive Explorer
+ * Bot Manager - Handles the domain discovery bots
+ * Domain Hunter, Asset Seeker, Recursive Explorer, plus any bots registered from plugins
  */
 
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const zlib = require('zlib');
+const { createRegistrar, registrarConfigFromEnv, startMockRegistrarServer, RateLimiter, rateLimitConfigFromEnv } = require('./registrars');
+const { AvailabilityChecker, availabilityConfigFromEnv } = require('./availability');
+const DomainStore = require('./domainStore');
+const DomainRegistry = require('./domainRegistry');
+const { BOT_CONFIG_SCHEMA, validateBotConfig, BotConfigStore } = require('./botConfig');
+const { BudgetManager, budgetConfigFromEnv } = require('./budgetManager');
+const { ApprovalQueue, approvalConfigFromEnv } = require('./approvalQueue');
+const { DomainValuator, valuationConfigFromEnv } = require('./domainValuator');
+const { WatchlistManager } = require('./watchlistManager');
+const { StatsHistory, statsHistoryConfigFromEnv } = require('./statsHistory');
+const { RetentionManager, retentionConfigFromEnv } = require('./retentionManager');
+const ExplorationFrontier = require('./explorationFrontier');
+const { generateVariants } = require('./nameGenerator');
+const { createRandom, createIdSource, SystemClock, simulationConfigFromEnv } = require('./simulation');
+const { WorkerBot, isolationConfigFromEnv } = require('./workerHost');
+const { logger: rootLogger, requestContext } = require('../logging');
+const { CSV_COLUMNS, csvLine } = require('../exports');
+const { IMPORTED_BOT } = require('../imports');
 
 class BotManager extends EventEmitter {
-    constructor() {
+    // options.clock / options.random / options.newId replace wall-clock time, Math.random and random UUIDs;
+    // options.seed (or SIMULATION_SEED) seeds every bot and the ids of watchlists and approvals;
+    // options.dataDir, options.availabilityChecker and options.registrar stand in for DATA_DIR, RDAP/WHOIS and the registrar
+    constructor(options = {}) {
         super();
-        this.bots = {
-            domainHunter: new DomainHunterBot(),
-            assetSeeker: new AssetSeekerBot(),
-            recursiveExplorer: new RecursiveExplorerBot()
-        };
+        this.seed = options.seed !== undefined ? options.seed : simulationConfigFromEnv().seed;
+        this.clock = options.clock || new SystemClock();
+        this.random = options.random || (this.seed !== null ? createRandom(this.seed) : Math.random);
+        this.newId = options.newId || createIdSource(this.seed !== null ? createRandom(`${this.seed}:ids`) : null);
+        this.logger = options.logger || rootLogger.child({ component: 'botManager' });
+        this.bots = {};
         this.isRunning = false;
         this.startTime = null;
         this.stats = {
@@ -26,39 +49,324 @@ class BotManager extends EventEmitter {
         this.config = {
             autoRestart: process.env.AUTO_RESTART_BOTS !== 'false',
             exportInterval: parseInt(process.env.EXPORT_INTERVAL_MS) || 300000, // 5 minutes
-            dataDir: process.env.DATA_DIR || './data',
-            maxLogAge: parseInt(process.env.MAX_LOG_AGE_MS) || 86400000, // 24 hours
-            webhookUrl: process.env.WEBHOOK_URL || null
+            dataDir: options.dataDir || process.env.DATA_DIR || './data',
+            maxLogAge: parseInt(process.env.MAX_LOG_AGE_MS) || 86400000, // 24 hours of exports kept in full, then one per day
+            webhookUrl: process.env.WEBHOOK_URL || null,
+            storeCompactThreshold: parseInt(process.env.DOMAIN_STORE_COMPACT_THRESHOLD) || 1000,
+            pluginsDir: process.env.BOT_PLUGINS_DIR || './plugins',
+            shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000
         };
+        this.store = new DomainStore({
+            dataDir: this.config.dataDir,
+            compactThreshold: this.config.storeCompactThreshold,
+            clock: this.clock
+        });
+        this.rateLimiter = new RateLimiter({ ...rateLimitConfigFromEnv(), clock: this.clock });
+        this.availabilityChecker = options.availabilityChecker
+            || new AvailabilityChecker({ ...availabilityConfigFromEnv(), rateLimiter: this.rateLimiter, clock: this.clock });
+        this.registry = new DomainRegistry({ clock: this.clock });
+        this.valuator = new DomainValuator(valuationConfigFromEnv());
+        this.botConfigStore = new BotConfigStore({ dataDir: this.config.dataDir });
+        this.botConfigLoaded = false;
+        this.budget = new BudgetManager({ dataDir: this.config.dataDir, clock: this.clock, ...budgetConfigFromEnv() });
+        this.budget.on('thresholdCrossed', (data) => this.handleBudgetThreshold(data));
+        this.approvals = new ApprovalQueue({ dataDir: this.config.dataDir, clock: this.clock, newId: this.newId, ...approvalConfigFromEnv() });
+        this.approvals.on('requested', (item) => this.handleApprovalRequested(item));
+        this.approvals.on('decided', (item) => this.emit('approvalDecided', item));
+        this.watchlists = new WatchlistManager({ dataDir: this.config.dataDir, clock: this.clock, newId: this.newId });
+        this.watchlists.on('changed', (data) => this.emit('watchlistChanged', { ...data, timestamp: this.clock.date() }));
+        this.history = new StatsHistory({ dataDir: this.config.dataDir, clock: this.clock, ...statsHistoryConfigFromEnv() });
+        this.retention = new RetentionManager({
+            dataDir: this.config.dataDir,
+            clock: this.clock,
+            maxAge: this.config.maxLogAge,
+            ...retentionConfigFromEnv()
+        });
+        this.isolation = options.isolation || isolationConfigFromEnv();
+        this.pluginSources = new Map();
+        this.registrarConfig = registrarConfigFromEnv();
+        this.registrar = null;
+        this.injectedRegistrar = options.registrar || null;
+        this.mockRegistrarServer = null;
         this.exportTimer = null;
         this.healthCheckTimer = null;
-        this.initialize();
+        this.historyTimer = null;
+        this.restartTimers = new Set();
+        this.isShuttingDown = false;
+        this.shutdownPromise = null;
+
+        this.registerBot('domainHunter', DomainHunterBot);
+        this.registerBot('assetSeeker', AssetSeekerBot);
+        this.registerBot('recursiveExplorer', RecursiveExplorerBot);
+
+        // Resolves once stored state is loaded and the registrar is set up; initialize() logs its own failures
+        this.ready = this.initialize();
     }
 
     async initialize() {
         try {
             await fs.mkdir(this.config.dataDir, { recursive: true });
+            await this.store.open();
+            await this.budget.load();
+            await this.approvals.load();
+            this.approvals.startExpiryTimer();
+            await this.watchlists.load();
+            await this.history.load();
+            await this.loadPlugins();
+            await this.loadBotConfig();
             await this.loadPreviousData();
+            this.rehydrateBots();
+            await this.setupRegistrar();
+            await this.retention.sweep();
             this.startPeriodicExports();
             this.startHealthMonitoring();
+            this.startHistorySampling();
         } catch (error) {
-            console.error('Failed to initialize BotManager:', error);
+            this.logger.error('Failed to initialize BotManager', { error });
+        }
+    }
+
+    async setupRegistrar() {
+        const { provider } = this.registrarConfig;
+        const options = { ...this.registrarConfig[provider] };
+
+        // An injected registrar (tests, simulations) is used as is
+        if (this.injectedRegistrar) {
+            this.registrar = this.injectedRegistrar;
+        } else {
+            try {
+                // Without an explicit URL the mock provider runs against the bundled in-process server
+                if (provider === 'mock' && !options.baseUrl) {
+                    this.mockRegistrarServer = await startMockRegistrarServer({
+                        random: this.seed !== null ? createRandom(`${this.seed}:registrar`) : Math.random,
+                        clock: this.clock
+                    });
+                    options.baseUrl = this.mockRegistrarServer.url;
+                    this.logger.info(`Started bundled mock registrar at ${options.baseUrl}`);
+                }
+
+                this.registrar = this.rateLimiter.wrapRegistrar(createRegistrar(provider, options), provider);
+            } catch (error) {
+                this.registrar = null;
+                this.logger.error(`Failed to set up registrar "${provider}"`, { error });
+            }
+        }
+
+        Object.values(this.bots).forEach(bot => {
+            bot.registrar = this.registrar;
+        });
+
+        return this.registrar;
+    }
+
+    validateBotClass(key, BotClass) {
+        if (typeof key !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(key)) {
+            throw new Error(`Invalid bot key "${key}": use letters, digits, "-" or "_" and start with a letter`);
+        }
+        if (this.getBot(key)) {
+            throw new Error(`A bot is already registered under "${key}"`);
         }
+        if (typeof BotClass !== 'function' || !(BotClass.prototype instanceof BaseDomainBot)) {
+            throw new Error(`Bot "${key}" must be a class extending BaseDomainBot`);
+        }
+        if (BotClass.prototype.performSearch === BaseDomainBot.prototype.performSearch) {
+            throw new Error(`Bot "${key}" must implement performSearch()`);
+        }
+    }
+
+    registerBot(key, BotClass, config = {}) {
+        this.validateBotClass(key, BotClass);
+
+        let bot = new BotClass({
+            ...config,
+            key,
+            logger: rootLogger.child({ bot: key }),
+            dataDir: this.config.dataDir,
+            clock: this.clock,
+            random: this.randomFor(key),
+            budget: this.budget,
+            approvals: this.approvals,
+            valuator: this.valuator,
+            watchlists: this.watchlists,
+            availabilityChecker: this.availabilityChecker,
+            store: this.store,
+            registry: this.registry,
+            registrar: this.registrar
+        });
+
+        bot.key = key;
+        if (typeof bot.name !== 'string' || !bot.name) {
+            throw new Error(`Bot "${key}" must pass a display name to the BaseDomainBot constructor`);
+        }
+        const clash = Object.values(this.bots).find(existing => existing.name === bot.name);
+        if (clash) {
+            throw new Error(`Bot "${key}" reuses the name "${bot.name}", which must be unique`);
+        }
+        if (this.isolation.mode === 'worker') {
+            bot = this.isolateBot(key, BotClass, config, bot);
+        }
+
+        bot.on('discovery', (data) => this.handleBotDiscovery(data));
+        bot.on('acquisition', (data) => this.handleBotAcquisition(data));
+        bot.on('status', (data) => this.handleBotStatus(data));
+        bot.on('error', (data) => this.handleBotError(data));
+        bot.on('searchCycle', (data) => this.emit('searchCycle', data));
+
+        this.bots[key] = bot;
+
+        // Bots registered after boot pick up their stored portfolio, config and join a running fleet
+        if (this.store.isOpen) {
+            bot.rehydrate(this.store.list({ bot: bot.name }));
+        }
+        if (this.botConfigLoaded) {
+            this.applyStoredConfig(key);
+        }
+        if (this.isRunning) {
+            bot.start();
+        }
+
+        this.emit('botRegistered', { key, name: bot.name, timestamp: this.clock.date() });
+        return bot;
+    }
+
+    // The locally built instance only served to validate the class; the worker builds its own from the source file
+    isolateBot(key, BotClass, config, template) {
+        const source = BUILT_IN_BOTS[BotClass.name] === BotClass
+            ? { exportName: BotClass.name }
+            : this.pluginSources.get(BotClass);
+        if (!source) {
+            this.logger.warn(`Bot "${key}" was registered in code, not from a plugin file; running it in-process`);
+            return template;
+        }
+
+        return new WorkerBot({
+            key,
+            template,
+            source: { ...source, key },
+            config,
+            dataDir: this.config.dataDir,
+            seed: this.seed,
+            isolation: this.isolation,
+            services: {
+                budget: this.budget,
+                approvals: this.approvals,
+                watchlists: this.watchlists,
+                availabilityChecker: this.availabilityChecker,
+                store: this.store,
+                registry: this.registry,
+                registrar: this.registrar
+            }
+        });
+    }
+
+    // Each bot gets its own seeded stream so one bot's activity can't shift another's sequence
+    randomFor(botKey) {
+        return this.seed !== null ? createRandom(`${this.seed}:${botKey}`) : this.random;
+    }
+
+    async loadBotConfig() {
+        await this.botConfigStore.load();
+        this.botConfigLoaded = true;
+        Object.keys(this.bots).forEach(key => this.applyStoredConfig(key));
+    }
+
+    applyStoredConfig(botKey) {
+        const stored = this.botConfigStore.get(botKey);
+        if (Object.keys(stored).length === 0) return;
+
+        try {
+            this.bots[botKey].updateConfig(validateBotConfig(stored));
+        } catch (error) {
+            this.logger.error(`Ignoring stored config for ${botKey}`, { bot: botKey, error, details: error.errors });
+        }
+    }
+
+    getBotConfig(botKey) {
+        const bot = this.getBot(botKey);
+        if (!bot) return null;
+
+        return {
+            key: botKey,
+            name: bot.name,
+            config: bot.getConfig(),
+            pending: { ...bot.pendingConfig },
+            schema: BOT_CONFIG_SCHEMA
+        };
+    }
+
+    async updateBotConfig(botKey, patch) {
+        const bot = this.getBot(botKey);
+        if (!bot) return null;
+
+        const changes = validateBotConfig(patch);
+        const previous = bot.getConfig();
+        bot.updateConfig(changes);
+        await this.botConfigStore.set(botKey, changes);
+
+        this.emit('configChanged', {
+            bot: bot.name,
+            key: botKey,
+            changes,
+            previous,
+            // Running bots pick the change up at the start of their next search cycle
+            appliesAt: bot.isActive ? 'nextCycle' : 'immediately',
+            timestamp: this.clock.date()
+        });
+
+        return this.getBotConfig(botKey);
+    }
+
+    async loadPlugins() {
+        const pluginsDir = path.resolve(this.config.pluginsDir);
+        let files;
+
+        try {
+            files = (await fs.readdir(pluginsDir)).filter(f => f.endsWith('.js')).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Failed to read bot plugins directory ${pluginsDir}`, { error });
+            }
+            return [];
+        }
+
+        const loaded = [];
+        for (const file of files) {
+            try {
+                let plugin = require(path.join(pluginsDir, file));
+                // Factory plugins receive the base class so they don't need to know where it lives
+                if (typeof plugin === 'function' && !(plugin.prototype instanceof BaseDomainBot)) {
+                    plugin = plugin({ BaseDomainBot });
+                }
+
+                const definitions = Array.isArray(plugin) ? plugin : [plugin];
+                definitions.forEach(definition => {
+                    if (!definition || !definition.key || !definition.BotClass) {
+                        throw new Error('plugin must provide { key, BotClass, config }');
+                    }
+                    this.pluginSources.set(definition.BotClass, { modulePath: path.join(pluginsDir, file) });
+                    this.registerBot(definition.key, definition.BotClass, definition.config);
+                    loaded.push(definition.key);
+                });
+            } catch (error) {
+                this.logger.error(`Failed to load bot plugin ${file}`, { error });
+            }
+        }
+
+        if (loaded.length > 0) {
+            this.logger.info(`Loaded bot plugins: ${loaded.join(', ')}`);
+        }
+        return loaded;
     }
 
     startAllBots() {
-        if (this.isRunning) return;
+        if (this.isShuttingDown) return;
+        if (this.isRunning && Object.values(this.bots).every(bot => bot.isActive)) return;
         
         this.isRunning = true;
-        this.startTime = new Date();
+        this.startTime = this.startTime || this.clock.date();
         
-        Object.values(this.bots).forEach(bot => {
-            bot.start();
-            bot.on('discovery', (data) => this.handleBotDiscovery(data));
-            bot.on('acquisition', (data) => this.handleBotAcquisition(data));
-            bot.on('status', (data) => this.handleBotStatus(data));
-            bot.on('error', (data) => this.handleBotError(data));
-        });
+        // The first search cycle runs straight away; keep it out of the calling request's log context
+        requestContext.exit(() => Object.values(this.bots).forEach(bot => bot.start()));
 
         this.emit('allBotsStarted', { timestamp: this.startTime });
         this.sendWebhookNotification('🤖 All domain discovery bots started successfully', 'success');
@@ -71,39 +379,102 @@ class BotManager extends EventEmitter {
         Object.values(this.bots).forEach(bot => bot.stop());
         
         if (this.exportTimer) {
-            clearInterval(this.exportTimer);
+            this.clock.clearInterval(this.exportTimer);
             this.exportTimer = null;
         }
         
         if (this.healthCheckTimer) {
-            clearInterval(this.healthCheckTimer);
+            this.clock.clearInterval(this.healthCheckTimer);
             this.healthCheckTimer = null;
         }
         
-        this.emit('allBotsStopped', { timestamp: new Date() });
+        this.emit('allBotsStopped', { timestamp: this.clock.date() });
         this.sendWebhookNotification('🛑 All domain discovery bots stopped', 'warning');
     }
 
+    controlBot(botKey, action) {
+        const bot = this.getBot(botKey);
+        if (!bot) return null;
+        if (this.isShuttingDown && action !== 'stop' && action !== 'pause') {
+            throw new Error('Bots cannot be started while the server is shutting down');
+        }
+
+        switch (action) {
+            case 'start':
+            case 'restart':
+                requestContext.exit(() => bot[action]());
+                // Starting a single bot brings the fleet up without touching the others
+                this.isRunning = true;
+                this.startTime = this.startTime || this.clock.date();
+                break;
+            case 'stop':
+                bot.stop();
+                if (Object.values(this.bots).every(b => !b.isActive)) {
+                    this.isRunning = false;
+                }
+                break;
+            case 'pause':
+                bot.pause();
+                break;
+            case 'resume':
+                requestContext.exit(() => bot.resume());
+                break;
+            default:
+                throw new Error(`Unknown bot action: ${action}`);
+        }
+
+        const status = bot.getStatus();
+        this.emit('botControl', { bot: bot.name, key: botKey, action, state: status.state, timestamp: this.clock.date() });
+        return status;
+    }
+
+    startBot(botKey) {
+        return this.controlBot(botKey, 'start');
+    }
+
+    stopBot(botKey) {
+        return this.controlBot(botKey, 'stop');
+    }
+
+    pauseBot(botKey) {
+        return this.controlBot(botKey, 'pause');
+    }
+
+    resumeBot(botKey) {
+        return this.controlBot(botKey, 'resume');
+    }
+
+    restartBot(botKey) {
+        return this.controlBot(botKey, 'restart');
+    }
+
     async handleBotError(data) {
         this.stats.failedAttempts++;
-        console.error(`Bot Error [${data.bot}]:`, data.error);
+        const botKey = this.getBotKeys()[data.bot];
+        // A critical error repeats the failure that was just reported, so only the first one is counted
+        if (data.status !== 'critical') {
+            this.history.record(botKey || data.bot, 'errors');
+        }
+        this.logger.error(data.message || `Bot error in ${data.bot}`, { bot: botKey, status: data.status, error: data.error });
         
         this.emit('error', {
             ...data,
-            timestamp: new Date(),
+            timestamp: this.clock.date(),
             stats: { ...this.stats }
         });
 
-        // Auto-restart failed bot if configured
-        if (this.config.autoRestart) {
-            console.log(`Auto-restarting bot: ${data.bot}`);
-            setTimeout(() => {
+        // Auto-restart failed bot if configured; a bot that fails while the server shuts down stays stopped
+        if (this.config.autoRestart && !this.isShuttingDown) {
+            this.logger.info(`Auto-restarting bot: ${data.bot}`, { bot: botKey });
+            const timer = this.clock.setTimeout(() => {
+                this.restartTimers.delete(timer);
                 const bot = Object.values(this.bots).find(b => b.name === data.bot);
-                if (bot && !bot.isActive) {
+                if (bot && !bot.isActive && !this.isShuttingDown) {
                     bot.start();
                     this.sendWebhookNotification(`🔄 Auto-restarted bot: ${data.bot}`, 'info');
                 }
             }, 5000); // Wait 5 seconds before restart
+            this.restartTimers.add(timer);
         }
 
         // Send critical alert for repeated failures
@@ -113,10 +484,11 @@ class BotManager extends EventEmitter {
     }
 
     handleBotDiscovery(data) {
-        this.stats.totalDomains++;
+        this.history.record(this.getBotKeys()[data.bot] || data.bot, 'discovered');
+        this.stats.totalDomains = this.store.records.size;
         this.emit('discovery', {
             ...data,
-            timestamp: new Date(),
+            timestamp: this.clock.date(),
             totalDomains: this.stats.totalDomains
         });
 
@@ -127,25 +499,110 @@ class BotManager extends EventEmitter {
     }
 
     handleBotAcquisition(data) {
+        const botKey = this.getBotKeys()[data.bot] || data.bot;
+        if (!data.skipped) {
+            this.history.record(botKey, 'attempts');
+        }
         if (data.success) {
+            this.history.record(botKey, 'acquired');
             this.stats.successfulAcquisitions++;
             this.sendWebhookNotification(`✅ Domain acquired: ${data.domain} by ${data.bot}`, 'success');
-        } else {
+        } else if (!data.skipped) {
             this.stats.failedAttempts++;
         }
         
         this.emit('acquisition', {
             ...data,
-            timestamp: new Date(),
+            timestamp: this.clock.date(),
             stats: { ...this.stats }
         });
     }
 
+    handleBudgetThreshold(data) {
+        const percent = Math.round(data.threshold * 100);
+        const type = data.threshold >= 1 ? 'error' : 'warning';
+        this.sendWebhookNotification(`💸 Budget alert: ${data.scope} spend reached ${percent}% (${data.spent} of ${data.limit}) for ${data.period}`, type);
+        this.emit('budgetAlert', { ...data, timestamp: this.clock.date() });
+    }
+
+    handleApprovalRequested(item) {
+        this.sendWebhookNotification(`🕒 Approval needed: ${item.bot} wants to acquire ${item.domain} (value ${item.value})`, 'info');
+        this.emit('approvalRequested', item);
+    }
+
+    getApprovals(filter = {}) {
+        return this.approvals.list(filter);
+    }
+
+    async approveAcquisition(id, actor = null) {
+        const item = this.approvals.approve(id, { actor });
+        if (!item) return null;
+
+        const bot = this.getBot(item.botKey);
+        if (!bot) {
+            return { approval: item, result: { success: false, reason: `Bot ${item.botKey} is no longer registered` } };
+        }
+
+        const result = await bot.attemptAcquisition(item.domain, item.type, item.value);
+        return { approval: item, result };
+    }
+
+    rejectAcquisition(id, actor = null, reason = null) {
+        // The domain stays claimed by its bot, so a rejected name isn't picked up by another bot
+        const item = this.approvals.reject(id, { actor, reason });
+        return item ? { approval: item } : null;
+    }
+
+    appraiseDomain(domain, context = {}) {
+        return this.valuator.appraise(domain, context);
+    }
+
+    getWatchlists(filter = {}) {
+        return this.watchlists.list(filter);
+    }
+
+    getWatchlist(id) {
+        return this.watchlists.get(id);
+    }
+
+    createWatchlist(input) {
+        return this.watchlists.create(input, { botKeys: Object.keys(this.bots) });
+    }
+
+    updateWatchlist(id, patch) {
+        return this.watchlists.update(id, patch, { botKeys: Object.keys(this.bots) });
+    }
+
+    deleteWatchlist(id) {
+        return this.watchlists.remove(id);
+    }
+
+    async getFrontier(botKey, options = {}) {
+        const bot = this.getBot(botKey);
+        if (!bot) return null;
+        if (typeof bot.getFrontier !== 'function' || bot.hasFrontier === false) {
+            const error = new Error(`${bot.name} does not keep an exploration frontier`);
+            error.code = 'NO_FRONTIER';
+            throw error;
+        }
+        return { key: botKey, name: bot.name, ...(await bot.getFrontier(options)) };
+    }
+
+    // from/to are epoch milliseconds; step is minute, hour or day (picked from the range when omitted)
+    getStatsHistory({ bot = null, from = null, to = null, step = null } = {}) {
+        if (bot && !this.getBot(bot)) return null;
+        return this.history.query({ bot, bots: Object.keys(this.bots), from, to, step });
+    }
+
+    getBudgetStatus() {
+        return this.budget.getStatus(Object.keys(this.bots));
+    }
+
     handleBotStatus(data) {
         this.emit('status', {
             ...data,
-            timestamp: new Date(),
-            uptime: this.startTime ? Date.now() - this.startTime.getTime() : 0
+            timestamp: this.clock.date(),
+            uptime: this.startTime ? this.clock.now() - this.startTime.getTime() : 0
         });
     }
 
@@ -165,7 +622,7 @@ class BotManager extends EventEmitter {
                     title: 'Domain Discovery Bot System',
                     description: message,
                     color: colors[type] || colors.info,
-                    timestamp: new Date().toISOString(),
+                    timestamp: this.clock.date().toISOString(),
                     footer: { text: 'Autonomous Domain Discovery' }
                 }]
             };
@@ -189,29 +646,31 @@ class BotManager extends EventEmitter {
             };
 
             const req = https.request(options, (res) => {
-                console.log(`Webhook response: ${res.statusCode}`);
+                this.logger.debug(`Webhook response: ${res.statusCode}`);
             });
 
             req.on('error', (error) => {
-                console.error('Webhook notification failed:', error.message);
+                this.logger.error('Webhook notification failed', { error });
             });
 
             req.write(data);
             req.end();
         } catch (error) {
-            console.error('Failed to send webhook notification:', error);
+            this.logger.error('Failed to send webhook notification', { error });
         }
     }
 
     startPeriodicExports() {
         if (this.exportTimer) return;
         
-        this.exportTimer = setInterval(async () => {
+        this.exportTimer = this.clock.setInterval(async () => {
             try {
                 await this.exportAllData();
-                console.log('Automated data export completed');
+                this.logger.info('Automated data export completed');
+                // Swept right after writing, so retention never races an export in progress
+                await this.retention.sweep();
             } catch (error) {
-                console.error('Automated export failed:', error);
+                this.logger.error('Automated export failed', { error });
             }
         }, this.config.exportInterval);
     }
@@ -219,7 +678,7 @@ class BotManager extends EventEmitter {
     startHealthMonitoring() {
         if (this.healthCheckTimer) return;
         
-        this.healthCheckTimer = setInterval(() => {
+        this.healthCheckTimer = this.clock.setInterval(() => {
             const healthReport = this.getHealthReport();
             
             // Check for unhealthy bots
@@ -232,17 +691,28 @@ class BotManager extends EventEmitter {
         }, 60000); // Check every minute
     }
 
+    startHistorySampling() {
+        if (this.historyTimer) return;
+
+        this.historyTimer = this.clock.setInterval(async () => {
+            await this.history.sample(Object.values(this.bots));
+            this.emit('statsSampled', { timestamp: this.clock.date() });
+        }, this.history.sampleInterval);
+    }
+
     getHealthReport() {
-        const uptime = this.startTime ? Date.now() - this.startTime.getTime() : 0;
+        const uptime = this.startTime ? this.clock.now() - this.startTime.getTime() : 0;
         
         return {
-            timestamp: new Date(),
+            timestamp: this.clock.date(),
             uptime,
             isRunning: this.isRunning,
             stats: { ...this.stats },
             bots: Object.values(this.bots).map(bot => ({
                 name: bot.name,
                 isActive: bot.isActive,
+                isPaused: bot.isPaused,
+                // A paused bot is still active, so it is not reported as unhealthy
                 isHealthy: bot.isActive && bot.stats.errors < 10,
                 stats: { ...bot.stats },
                 lastActivity: bot.lastActivity || null
@@ -250,18 +720,87 @@ class BotManager extends EventEmitter {
         };
     }
 
+    // Stops all bots, waits up to `timeout` for in-flight acquisitions, then writes a final export and flushes state
+    shutdown({ timeout = this.config.shutdownTimeout } = {}) {
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.performShutdown(timeout);
+        }
+        return this.shutdownPromise;
+    }
+
+    async performShutdown(timeout) {
+        this.isShuttingDown = true;
+        this.emit('shuttingDown', { timeout, timestamp: this.clock.date() });
+
+        [this.exportTimer, this.healthCheckTimer, this.historyTimer].forEach(timer => timer && this.clock.clearInterval(timer));
+        this.exportTimer = null;
+        this.healthCheckTimer = null;
+        this.historyTimer = null;
+        this.approvals.stopExpiryTimer();
+        this.restartTimers.forEach(timer => this.clock.clearTimeout(timer));
+        this.restartTimers.clear();
+
+        const bots = Object.values(this.bots);
+        let timer = null;
+        const drained = await Promise.race([
+            Promise.all(bots.map(bot => bot.drain().catch(error => {
+                this.logger.error(`Failed to drain ${bot.name}`, { bot: bot.key, error });
+            }))).then(() => true),
+            new Promise(resolve => {
+                timer = this.clock.setTimeout(() => resolve(false), timeout);
+            })
+        ]);
+        this.clock.clearTimeout(timer);
+        this.isRunning = false;
+
+        const abandoned = bots.reduce((count, bot) => count + (bot.getStatus().acquisitionsInFlight || 0), 0);
+        if (!drained) {
+            this.logger.warn(`Shutdown timeout of ${timeout}ms reached with ${abandoned} acquisition(s) still in flight`);
+        }
+
+        let exported = null;
+        try {
+            exported = await this.exportAllData();
+        } catch (error) {
+            this.logger.error('Final export failed', { error });
+        }
+
+        await this.store.close();
+        await this.history.sample(bots);
+        await Promise.all([this.budget.writeQueue, this.approvals.writeQueue, this.watchlists.writeQueue]);
+        // A cycle cut off by the timeout may still be exploring, so checkpoint each frontier once more before exit
+        await Promise.all(bots.map(bot => bot.frontier ? bot.frontier.save() : null));
+        await Promise.all(bots.map(bot => typeof bot.terminate === 'function' ? bot.terminate() : null));
+        if (this.mockRegistrarServer) {
+            this.mockRegistrarServer.close();
+        }
+
+        const summary = {
+            drained,
+            abandoned,
+            exported: exported ? exported.jsonPath : null,
+            timestamp: this.clock.date()
+        };
+        this.emit('shutdown', summary);
+        return summary;
+    }
+
     async exportAllData() {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const timestamp = this.clock.date().toISOString().replace(/[:.]/g, '-');
         const exportData = {
-            timestamp: new Date(),
-            uptime: this.startTime ? Date.now() - this.startTime.getTime() : 0,
+            timestamp: this.clock.date(),
+            uptime: this.startTime ? this.clock.now() - this.startTime.getTime() : 0,
             stats: { ...this.stats },
-            bots: Object.values(this.bots).map(bot => ({
-                name: bot.name,
-                status: bot.getStatus(),
-                discovered: bot.discovered,
-                acquired: bot.acquired
-            }))
+            portfolio: this.store.getStats(),
+            bots: Object.values(this.bots).map(bot => {
+                const records = this.store.list({ bot: bot.name });
+                return {
+                    name: bot.name,
+                    status: bot.getStatus(),
+                    discovered: records,
+                    acquired: records.filter(record => record.status === 'acquired')
+                };
+            })
         };
 
         // Export as JSON
@@ -277,45 +816,153 @@ class BotManager extends EventEmitter {
     }
 
     generateCSV(exportData) {
-        const headers = 'Domain,Bot,Type,Status,AcquisitionDate,Value,Registrar\n';
-        let rows = '';
+        const lines = [csvLine(CSV_COLUMNS)];
 
         exportData.bots.forEach(bot => {
             bot.discovered.forEach(domain => {
                 const acquired = bot.acquired.find(a => a.domain === domain.domain);
-                rows += `${domain.domain},${bot.name},${domain.type},${acquired ? 'Acquired' : 'Discovered'},${acquired ? acquired.acquiredAt : ''},${domain.value || acquired?.price || ''},${domain.registrar || ''}\n`;
+                lines.push(csvLine([
+                    domain.domain,
+                    bot.name,
+                    domain.type,
+                    acquired ? 'Acquired' : 'Discovered',
+                    acquired ? acquired.acquiredAt : '',
+                    domain.value || (acquired && acquired.price) || '',
+                    domain.registrar || ''
+                ]));
             });
         });
 
-        return headers + rows;
+        return lines.join('');
     }
 
     async loadPreviousData() {
+        // The domain store is the source of truth once it has data; exports are only used to seed it
+        if (this.store.records.size > 0) return;
+
         try {
             const files = await fs.readdir(this.config.dataDir);
-            const latestFile = files.filter(f => f.startsWith('bot-data-')).sort().pop();
+            const latestFile = files.filter(f => /^bot-data-.*\.json(\.gz)?$/.test(f)).sort().pop();
             
             if (latestFile) {
-                const data = JSON.parse(await fs.readFile(path.join(this.config.dataDir, latestFile), 'utf8'));
-                // Restore some stats but start fresh with bot state
-                this.stats.totalDomains = data.stats.totalDomains || 0;
-                this.stats.successfulAcquisitions = data.stats.successfulAcquisitions || 0;
-                console.log(`Loaded previous data from ${latestFile}`);
+                // Older exports may have been gzipped by retention
+                const raw = await fs.readFile(path.join(this.config.dataDir, latestFile));
+                const data = JSON.parse((latestFile.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+                (data.bots || []).forEach(bot => {
+                    (bot.discovered || []).forEach(entry => this.store.recordDiscovery(bot.name, entry));
+                    (bot.acquired || []).forEach(entry => this.store.recordAcquisition(bot.name, entry));
+                });
+                await this.store.compact();
+                this.logger.info(`Imported ${this.store.records.size} domains into the domain store from ${latestFile}`);
             }
         } catch (error) {
-            console.log('No previous data found or failed to load:', error.message);
+            this.logger.info(`No previous data found or failed to load: ${error.message}`);
         }
     }
 
+    rehydrateBots() {
+        Object.values(this.bots).forEach(bot => bot.rehydrate(this.store.list({ bot: bot.name })));
+        this.registry.seed(this.store.list());
+
+        const portfolio = this.store.getStats();
+        this.stats.totalDomains = portfolio.total;
+        this.stats.successfulAcquisitions = portfolio.acquired;
+        if (portfolio.total > 0) {
+            this.logger.info(`Rehydrated ${portfolio.total} domains (${portfolio.acquired} acquired) from the domain store`);
+        }
+    }
+
+    getDomains(filter = {}) {
+        return this.store.list(filter);
+    }
+
+    // Merges validated import records (see imports/) into the domain store. Known domains are never duplicated:
+    // an acquired row promotes a discovered one under its existing owner, anything else already known is skipped
+    async importDomains(records, { dryRun = false } = {}) {
+        const importedAt = this.clock.date().toISOString();
+        const result = { imported: 0, updated: 0, skipped: [] };
+        const owners = new Set();
+        let written = Promise.resolve();
+
+        records.forEach(record => {
+            const existing = this.store.get(record.domain);
+            let reason = null;
+            if (this.registry.inFlight.has(record.domain)) {
+                reason = 'Acquisition in progress';
+            } else if (existing && existing.status === 'acquired') {
+                reason = 'Already acquired';
+            } else if (existing && record.status !== 'acquired') {
+                reason = 'Already discovered';
+            }
+            if (reason) {
+                result.skipped.push({ row: record.row, domain: record.domain, reason });
+                return;
+            }
+
+            result[existing ? 'updated' : 'imported']++;
+            if (dryRun) return;
+
+            const { row, domain, ...fields } = record;
+            const bot = existing ? existing.bot : (record.bot || IMPORTED_BOT);
+            written = this.store.upsert(domain, {
+                ...(existing ? {} : { type: 'imported' }),
+                ...fields,
+                bot,
+                discoveredAt: (existing && existing.discoveredAt) || importedAt,
+                ...(record.status === 'acquired' ? { acquiredAt: record.acquiredAt || importedAt } : {}),
+                importedAt
+            });
+            if (!existing) this.registry.claim(domain, bot);
+            owners.add(bot);
+        });
+
+        if (owners.size > 0) {
+            await written;
+            Object.values(this.bots)
+                .filter(bot => owners.has(bot.name))
+                .forEach(bot => bot.rehydrate(this.store.list({ bot: bot.name })));
+
+            const portfolio = this.store.getStats();
+            this.stats.totalDomains = portfolio.total;
+            this.stats.successfulAcquisitions = portfolio.acquired;
+            this.logger.info(`Imported ${result.imported} new and ${result.updated} updated domains`, { skipped: result.skipped.length });
+            this.emit('domainsImported', {
+                imported: result.imported,
+                updated: result.updated,
+                skipped: result.skipped.length,
+                totalDomains: portfolio.total,
+                timestamp: this.clock.date()
+            });
+        }
+        return result;
+    }
+
     getBotStatus(botName) {
-        return this.bots[botName] ? this.bots[botName].getStatus() : null;
+        const bot = this.getBot(botName);
+        return bot ? bot.getStatus() : null;
+    }
+
+    // Own keys only: "constructor" or "toString" from a URL must not resolve to an Object.prototype member
+    getBot(botKey) {
+        return typeof botKey === 'string' && Object.hasOwn(this.bots, botKey) ? this.bots[botKey] : null;
+    }
+
+    getBotKeys() {
+        return Object.keys(this.bots).reduce((keys, key) => {
+            keys[this.bots[key].name] = key;
+            return keys;
+        }, {});
     }
 
     getAllStats() {
         return {
             ...this.stats,
+            portfolio: this.store.getStats(),
+            registry: this.registry.getStats(),
+            approvals: this.approvals.getStats(),
+            watchlists: this.watchlists.getStats(),
             isRunning: this.isRunning,
-            uptime: this.startTime ? Date.now() - this.startTime.getTime() : 0,
+            uptime: this.startTime ? this.clock.now() - this.startTime.getTime() : 0,
             bots: Object.keys(this.bots).map(name => ({
                 name,
                 status: this.bots[name].getStatus()
@@ -332,13 +979,19 @@ class BotManager extends EventEmitter {
             status: health.bots.every(bot => bot.isHealthy) ? 'healthy' : 'unhealthy',
             uptime: health.uptime,
             botsActive: health.bots.filter(bot => bot.isActive).length,
+            botsPaused: health.bots.filter(bot => bot.isPaused).length,
             totalBots: health.bots.length,
             stats: health.stats,
+            registrar: this.registrar ? this.registrar.name : null,
+            availability: this.availabilityChecker.getStats(),
+            rateLimits: this.rateLimiter.getStatus(),
+            budget: (({ daily, monthly, reserved }) => ({ daily, monthly, reserved }))(this.getBudgetStatus()),
             memory: {
                 used: Math.round(memUsage.heapUsed / 1024 / 1024),
                 total: Math.round(memUsage.heapTotal / 1024 / 1024)
             },
-            lastExport: await this.getLastExportTime()
+            lastExport: await this.getLastExportTime(),
+            disk: await this.retention.getUsage()
         };
     }
 
@@ -351,7 +1004,7 @@ class BotManager extends EventEmitter {
                 return stats.mtime;
             }
         } catch (error) {
-            console.error('Error getting last export time:', error);
+            this.logger.error('Error getting last export time', { error });
         }
         return null;
     }
@@ -362,20 +1015,39 @@ class BaseDomainBot extends EventEmitter {
         super();
         this.name = name;
         this.isActive = false;
+        this.isPaused = false;
+        this.cycleInFlight = false;
         this.searchDepth = config.searchDepth || 1;
         this.searchInterval = config.searchInterval || 5000;
         this.discovered = [];
         this.acquired = [];
         this.searchTimer = null;
+        this.registrar = config.registrar || null;
+        this.availabilityChecker = config.availabilityChecker || null;
+        this.store = config.store || null;
+        this.registry = config.registry || null;
+        this.budget = config.budget || null;
+        this.approvals = config.approvals || null;
+        this.valuator = config.valuator || null;
+        this.clock = config.clock || new SystemClock();
+        this.random = config.random || Math.random;
+        this.watchlists = config.watchlists || null;
+        this.minAcquisitionScore = config.minAcquisitionScore !== undefined ? config.minAcquisitionScore : 50;
+        this.key = config.key || null;
+        this.logger = config.logger || rootLogger.child({ bot: this.key || name });
         this.lastActivity = null;
         this.consecutiveErrors = 0;
-        this.maxConsecutiveErrors = parseInt(process.env.MAX_CONSECUTIVE_ERRORS) || 5;
-        this.backoffMultiplier = 2;
+        this.maxConsecutiveErrors = config.maxConsecutiveErrors || parseInt(process.env.MAX_CONSECUTIVE_ERRORS) || 5;
+        this.backoffMultiplier = config.backoffMultiplier || 2;
+        this.pendingConfig = {};
+        this.acquisitionsInFlight = new Set();
+        this.draining = false;
         this.stats = {
             domainsScanned: 0,
             domainsDiscovered: 0,
             domainsAcquired: 0,
             currentDepth: 0,
+            duplicatesSkipped: 0,
             errors: 0,
             lastError: null,
             startTime: null
@@ -386,10 +1058,12 @@ class BaseDomainBot extends EventEmitter {
         if (this.isActive) return;
         
         this.isActive = true;
+        this.isPaused = false;
         this.stats.currentDepth = 0;
-        this.stats.startTime = new Date();
+        this.stats.startTime = this.clock.date();
         this.consecutiveErrors = 0;
-        this.lastActivity = new Date();
+        this.lastActivity = this.clock.date();
+        this.logger.info('Started');
         
         this.emit('status', { 
             bot: this.name, 
@@ -402,10 +1076,12 @@ class BaseDomainBot extends EventEmitter {
 
     stop() {
         this.isActive = false;
+        this.isPaused = false;
         if (this.searchTimer) {
-            clearTimeout(this.searchTimer);
+            this.clock.clearTimeout(this.searchTimer);
             this.searchTimer = null;
         }
+        this.logger.info('Stopped');
         this.emit('status', { 
             bot: this.name, 
             status: 'stopped', 
@@ -413,26 +1089,104 @@ class BaseDomainBot extends EventEmitter {
         });
     }
 
+    // Pausing keeps depth, counters and the error streak so resume() carries on where it left off
+    pause() {
+        if (!this.isActive || this.isPaused) return;
+
+        this.isPaused = true;
+        if (this.searchTimer) {
+            this.clock.clearTimeout(this.searchTimer);
+            this.searchTimer = null;
+        }
+        this.logger.info('Paused');
+        this.emit('status', {
+            bot: this.name,
+            status: 'paused',
+            message: `${this.name} paused`
+        });
+    }
+
+    resume() {
+        if (!this.isActive || !this.isPaused) return;
+
+        this.isPaused = false;
+        this.lastActivity = this.clock.date();
+        this.logger.info('Resumed');
+        this.emit('status', {
+            bot: this.name,
+            status: 'active',
+            message: `${this.name} resumed searching...`
+        });
+
+        // A cycle still finishing from before the pause schedules the next one itself
+        if (!this.cycleInFlight) {
+            this.runSearchCycle();
+        }
+    }
+
+    restart() {
+        this.stop();
+        this.start();
+    }
+
+    getConfig() {
+        return {
+            searchInterval: this.searchInterval,
+            searchDepth: this.searchDepth,
+            maxConsecutiveErrors: this.maxConsecutiveErrors,
+            backoffMultiplier: this.backoffMultiplier,
+            minAcquisitionScore: this.minAcquisitionScore
+        };
+    }
+
+    updateConfig(config) {
+        this.pendingConfig = { ...this.pendingConfig, ...config };
+        if (!this.isActive) {
+            this.applyPendingConfig();
+        }
+    }
+
+    applyPendingConfig() {
+        const changes = this.pendingConfig;
+        if (Object.keys(changes).length === 0) return null;
+
+        Object.assign(this, changes);
+        this.pendingConfig = {};
+        return changes;
+    }
+
+    getState() {
+        if (!this.isActive) return 'stopped';
+        return this.isPaused ? 'paused' : 'running';
+    }
+
     runSearchCycle() {
-        if (!this.isActive) return;
+        if (!this.isActive || this.isPaused || this.cycleInFlight) return;
 
+        this.cycleInFlight = true;
+        this.applyPendingConfig();
+        const startedAt = this.clock.now();
+        const reportCycle = (success) => this.emit('searchCycle', { bot: this.name, success, durationMs: this.clock.now() - startedAt });
         this.performSearch()
             .then(() => {
+                reportCycle(true);
+                this.cycleInFlight = false;
                 this.consecutiveErrors = 0; // Reset error count on success
-                this.lastActivity = new Date();
-                this.searchTimer = setTimeout(() => this.runSearchCycle(), this.searchInterval);
+                this.lastActivity = this.clock.date();
+                if (!this.isActive || this.isPaused) return;
+                this.searchTimer = this.clock.setTimeout(() => this.runSearchCycle(), this.searchInterval);
             })
             .catch(error => {
+                reportCycle(false);
+                this.cycleInFlight = false;
                 this.consecutiveErrors++;
                 this.stats.errors++;
                 this.stats.lastError = {
-                    timestamp: new Date(),
+                    timestamp: this.clock.date(),
                     message: error.message,
                     stack: error.stack
                 };
 
-                console.error(`[${this.name}] Search cycle error:`, error);
-                
                 this.emit('error', { 
                     bot: this.name, 
                     status: 'error', 
@@ -456,7 +1210,8 @@ class BaseDomainBot extends EventEmitter {
                     return;
                 }
 
-                this.searchTimer = setTimeout(() => this.runSearchCycle(), backoffDelay);
+                if (!this.isActive || this.isPaused) return;
+                this.searchTimer = this.clock.setTimeout(() => this.runSearchCycle(), backoffDelay);
             });
     }
 
@@ -465,35 +1220,259 @@ class BaseDomainBot extends EventEmitter {
         throw new Error('performSearch must be implemented by subclass');
     }
 
+    isDuplicate(domain) {
+        if (!this.registry || !this.registry.has(domain)) return false;
+        this.stats.duplicatesSkipped++;
+        return true;
+    }
+
+    claimDomain(domain) {
+        if (!this.registry || this.registry.claim(domain, this.name)) return true;
+        this.stats.duplicatesSkipped++;
+        return false;
+    }
+
+    recordDiscovery(entry) {
+        this.logger.debug(`Discovered ${entry.domain}`, { domain: entry.domain, type: entry.type, value: entry.value });
+        this.discovered = this.discovered.filter(d => d.domain !== entry.domain);
+        this.discovered.push(entry);
+        if (this.store) {
+            this.store.recordDiscovery(this.name, entry);
+        }
+    }
+
+    recordAcquisition(entry) {
+        this.acquired.push(entry);
+        if (this.store) {
+            this.store.recordAcquisition(this.name, entry);
+        }
+    }
+
+    rehydrate(records) {
+        this.discovered = records.map(record => ({ ...record }));
+        this.acquired = records
+            .filter(record => record.status === 'acquired')
+            .map(record => ({
+                domain: record.domain,
+                acquiredAt: record.acquiredAt,
+                price: record.price,
+                currency: record.currency,
+                registrar: record.registrar,
+                orderId: record.orderId
+            }));
+        this.stats.domainsDiscovered = this.discovered.length;
+        this.stats.domainsAcquired = this.acquired.length;
+    }
+
+    async lookupAvailability(domain) {
+        if (!this.availabilityChecker) {
+            throw new Error('No availability checker configured');
+        }
+        return this.availabilityChecker.check(domain);
+    }
+
+    appraise(domain, context = {}) {
+        if (!this.valuator) {
+            this.valuator = new DomainValuator();
+        }
+        return this.valuator.appraise(domain, context);
+    }
+
+    async acquireDomain(domain, options = {}) {
+        if (!this.registrar) {
+            return { success: false, registrar: null, reason: 'No registrar configured' };
+        }
+
+        const registrar = this.registrar.name;
+        let reservationId = null;
+
+        try {
+            const availability = await this.registrar.checkAvailability(domain);
+            if (!availability.available) {
+                return { success: false, registrar, reason: 'Domain is not available' };
+            }
+
+            const quote = await this.registrar.quotePrice(domain);
+
+            // Never pay more than the appraised value
+            if (options.maxPrice !== undefined && options.maxPrice !== null && quote.price > options.maxPrice) {
+                return {
+                    success: false,
+                    skipped: true,
+                    registrar,
+                    price: quote.price,
+                    reason: `Quoted price ${quote.price} is above appraised value ${options.maxPrice}`
+                };
+            }
+
+            if (this.budget) {
+                const decision = this.budget.reserve(this.key || this.name, domain, quote.price);
+                if (!decision.allowed) {
+                    return { success: false, skipped: true, registrar, price: quote.price, reason: decision.reason };
+                }
+                reservationId = decision.reservationId;
+            }
+
+            const balance = await this.registrar.getBalance();
+            if (balance.available !== null && balance.available < quote.price) {
+                return { success: false, registrar, price: quote.price, reason: 'Insufficient registrar balance' };
+            }
+
+            const order = await this.registrar.register(domain, { maxPrice: quote.price });
+            const price = order.price !== null && order.price !== undefined ? order.price : quote.price;
+
+            if (order.success && reservationId !== null) {
+                this.budget.commit(reservationId, price);
+                reservationId = null;
+            }
+
+            return {
+                success: order.success,
+                registrar,
+                orderId: order.orderId,
+                price,
+                currency: order.currency || quote.currency,
+                reason: order.success ? null : 'Registration was not confirmed'
+            };
+        } catch (error) {
+            return { success: false, registrar, reason: error.message, code: error.code };
+        } finally {
+            // Anything not committed above (rejections, failures, errors) gives its reservation back
+            if (reservationId !== null) {
+                this.budget.release(reservationId);
+            }
+        }
+    }
+
+    // Routes expensive names to the approval queue; everything else is acquired straight away
+    async requestAcquisition(domain, type, value) {
+        if (this.approvals && this.approvals.requiresApproval(value)) {
+            if (!this.approvals.isPending(domain)) {
+                this.approvals.enqueue({ domain, bot: this.name, botKey: this.key, type, value });
+            }
+            return { success: false, skipped: true, pendingApproval: true, reason: 'Awaiting approval' };
+        }
+        return this.attemptAcquisition(domain, type, value);
+    }
+
+    // In-flight attempts are tracked so a shutdown can wait for registrations to finish
+    attemptAcquisition(domain, type, value) {
+        if (this.draining) {
+            return Promise.resolve({ success: false, skipped: true, registrar: null, reason: 'Shutting down' });
+        }
+
+        const attempt = this.runAcquisition(domain, type, value);
+        const untrack = () => this.acquisitionsInFlight.delete(attempt);
+        this.acquisitionsInFlight.add(attempt);
+        attempt.then(untrack, untrack);
+        return attempt;
+    }
+
+    // Stops the bot, refuses new acquisitions and resolves once the in-flight ones have settled
+    async drain() {
+        this.draining = true;
+        await this.stop();
+        await Promise.allSettled(Array.from(this.acquisitionsInFlight));
+    }
+
+    async runAcquisition(domain, type, value) {
+        if (this.budget) {
+            const decision = this.budget.canSpend(this.key || this.name);
+            if (!decision.allowed) {
+                const skipped = { success: false, skipped: true, registrar: null, reason: decision.reason };
+                this.logger.info(`Skipped acquisition of ${domain}: ${decision.reason}`, { domain });
+                this.emit('acquisition', { bot: this.name, domain, type, ...skipped });
+                return skipped;
+            }
+        }
+
+        if (this.registry && !this.registry.beginAcquisition(domain, this.name)) {
+            this.stats.duplicatesSkipped++;
+            return { success: false, registrar: null, reason: `Domain is claimed by ${this.registry.owner(domain)}` };
+        }
+
+        let result;
+        const startedAt = this.clock.now();
+        try {
+            result = await this.acquireDomain(domain, { maxPrice: value });
+        } finally {
+            if (this.registry) {
+                this.registry.endAcquisition(domain);
+            }
+        }
+
+        const fields = { domain, price: result.price, registrar: result.registrar, durationMs: this.clock.now() - startedAt };
+        if (result.success) {
+            this.logger.info(`Acquired ${domain}`, { ...fields, orderId: result.orderId });
+        } else {
+            this.logger.info(`Acquisition of ${domain} failed: ${result.reason}`, fields);
+        }
+
+        if (result.success) {
+            this.stats.domainsAcquired++;
+            this.recordAcquisition({
+                domain,
+                acquiredAt: this.clock.date(),
+                price: result.price,
+                currency: result.currency,
+                registrar: result.registrar,
+                orderId: result.orderId
+            });
+        }
+
+        this.emit('acquisition', {
+            bot: this.name,
+            domain,
+            success: result.success,
+            type,
+            price: result.price,
+            registrar: result.registrar,
+            reason: result.reason,
+            skipped: !!result.skipped,
+            durationMs: this.clock.now() - startedAt
+        });
+
+        return result;
+    }
+
     generateDomainName() {
+        // Bots with an assigned watchlist walk its candidates; the built-in word lists are the fallback
+        if (this.watchlists && this.key && this.watchlists.hasAssignment(this.key)) {
+            const candidate = this.watchlists.nextCandidate(this.key, (domain) => this.registry ? this.registry.has(domain) : false);
+            if (candidate) return candidate;
+        }
+
         const prefixes = ['digital', 'crypto', 'web', 'tech', 'ai', 'data', 'cloud', 'meta'];
         const suffixes = ['asset', 'domain', 'hub', 'vault', 'zone', 'space', 'link', 'net'];
         const tlds = ['.com', '.net', '.org', '.io', '.ai', '.tech'];
         
-        const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-        const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-        const tld = tlds[Math.floor(Math.random() * tlds.length)];
+        const prefix = prefixes[Math.floor(this.random() * prefixes.length)];
+        const suffix = suffixes[Math.floor(this.random() * suffixes.length)];
+        const tld = tlds[Math.floor(this.random() * tlds.length)];
         
-        return `${prefix}${suffix}${Math.floor(Math.random() * 9999)}${tld}`;
+        return `${prefix}${suffix}${Math.floor(this.random() * 9999)}${tld}`;
     }
 
     getStatus() {
         return {
             name: this.name,
             isActive: this.isActive,
+            isPaused: this.isPaused,
+            state: this.getState(),
             stats: { ...this.stats },
             discovered: this.discovered.length,
             acquired: this.acquired.length,
             lastActivity: this.lastActivity,
             consecutiveErrors: this.consecutiveErrors,
-            uptime: this.stats.startTime ? Date.now() - this.stats.startTime.getTime() : 0
+            acquisitionsInFlight: this.acquisitionsInFlight.size,
+            uptime: this.stats.startTime ? this.clock.now() - this.stats.startTime.getTime() : 0
         };
     }
 }
 
 class DomainHunterBot extends BaseDomainBot {
-    constructor() {
-        super('Domain Hunter', { searchInterval: 3000, searchDepth: 3 });
+    constructor(config = {}) {
+        super('Domain Hunter', { searchInterval: 3000, searchDepth: 3, minAcquisitionScore: 60, ...config });
         this.specialty = 'premium domains';
     }
 
@@ -501,28 +1480,35 @@ class DomainHunterBot extends BaseDomainBot {
         const domain = this.generateDomainName();
         this.stats.domainsScanned++;
 
-        // Simulate domain discovery
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 1000));
+        // Skip the lookup entirely for names another bot (or this one) already reported
+        if (this.isDuplicate(domain)) return;
+
+        const availability = await this.lookupAvailability(domain);
 
-        if (Math.random() > 0.7) {
+        if (availability.discoverable && this.claimDomain(domain)) {
             this.stats.domainsDiscovered++;
-            this.discovered.push({
+            const appraisal = this.appraise(domain);
+            this.recordDiscovery({
                 domain,
                 type: 'premium',
-                value: Math.floor(Math.random() * 10000) + 1000,
-                registrar: ['GoDaddy', 'Namecheap', 'Network Solutions'][Math.floor(Math.random() * 3)]
+                value: appraisal.value,
+                score: appraisal.score,
+                registrar: this.registrar ? this.registrar.name : null,
+                availability: availability.status,
+                expiresAt: availability.expiresAt
             });
 
             this.emit('discovery', {
                 bot: this.name,
                 domain,
                 type: 'premium',
-                specialty: this.specialty
+                specialty: this.specialty,
+                availability: availability.status
             });
 
-            // Attempt acquisition
-            if (Math.random() > 0.5) {
-                await this.attemptAcquisition(domain);
+            // Expiring names can't be registered yet, only free ones are attempted
+            if (availability.available && appraisal.score >= this.minAcquisitionScore) {
+                await this.requestAcquisition(domain, 'premium', appraisal.value);
             }
         }
 
@@ -532,32 +1518,11 @@ class DomainHunterBot extends BaseDomainBot {
             message: `Scanned: ${this.stats.domainsScanned}, Found: ${this.stats.domainsDiscovered}`
         });
     }
-
-    async attemptAcquisition(domain) {
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 2000));
-        
-        const success = Math.random() > 0.3;
-        if (success) {
-            this.stats.domainsAcquired++;
-            this.acquired.push({
-                domain,
-                acquiredAt: new Date(),
-                price: Math.floor(Math.random() * 5000) + 500
-            });
-        }
-
-        this.emit('acquisition', {
-            bot: this.name,
-            domain,
-            success,
-            type: 'premium'
-        });
-    }
 }
 
 class AssetSeekerBot extends BaseDomainBot {
-    constructor() {
-        super('Asset Seeker', { searchInterval: 4000, searchDepth: 2 });
+    constructor(config = {}) {
+        super('Asset Seeker', { searchInterval: 4000, searchDepth: 2, ...config });
         this.specialty = 'digital assets';
     }
 
@@ -565,26 +1530,35 @@ class AssetSeekerBot extends BaseDomainBot {
         const domain = this.generateDomainName();
         this.stats.domainsScanned++;
 
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 1500));
+        if (this.isDuplicate(domain)) return;
+
+        const availability = await this.lookupAvailability(domain);
 
-        if (Math.random() > 0.6) {
+        if (availability.discoverable && this.claimDomain(domain)) {
             this.stats.domainsDiscovered++;
-            this.discovered.push({
+            const category = ['NFT', 'DeFi', 'Gaming', 'SaaS'][Math.floor(this.random() * 4)];
+            const appraisal = this.appraise(domain, { category });
+            this.recordDiscovery({
                 domain,
                 type: 'asset',
-                category: ['NFT', 'DeFi', 'Gaming', 'SaaS'][Math.floor(Math.random() * 4)],
-                registrar: ['GoDaddy', 'Namecheap', 'Network Solutions'][Math.floor(Math.random() * 3)]
+                category,
+                value: appraisal.value,
+                score: appraisal.score,
+                registrar: this.registrar ? this.registrar.name : null,
+                availability: availability.status,
+                expiresAt: availability.expiresAt
             });
 
             this.emit('discovery', {
                 bot: this.name,
                 domain,
                 type: 'asset',
-                specialty: this.specialty
+                specialty: this.specialty,
+                availability: availability.status
             });
 
-            if (Math.random() > 0.4) {
-                await this.attemptAcquisition(domain);
+            if (availability.available && appraisal.score >= this.minAcquisitionScore) {
+                await this.requestAcquisition(domain, 'asset', appraisal.value);
             }
         }
 
@@ -594,92 +1568,111 @@ class AssetSeekerBot extends BaseDomainBot {
             message: `Assets scanned: ${this.stats.domainsScanned}, Assets found: ${this.stats.domainsDiscovered}`
         });
     }
-
-    async attemptAcquisition(domain) {
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 1800));
-        
-        const success = Math.random() > 0.25;
-        if (success) {
-            this.stats.domainsAcquired++;
-            this.acquired.push({
-                domain,
-                acquiredAt: new Date(),
-                price: Math.floor(Math.random() * 3000) + 200
-            });
-        }
-
-        this.emit('acquisition', {
-            bot: this.name,
-            domain,
-            success,
-            type: 'asset'
-        });
-    }
 }
 
 class RecursiveExplorerBot extends BaseDomainBot {
-    constructor() {
-        super('Recursive Explorer', { searchInterval: 6000, searchDepth: 5 });
+    constructor(config = {}) {
+        super('Recursive Explorer', { searchInterval: 6000, searchDepth: 5, minAcquisitionScore: 40, ...config });
         this.specialty = 'hidden gems';
+        this.frontier = new ExplorationFrontier({
+            dataDir: config.dataDir,
+            fileName: `frontier-${config.key || 'recursiveExplorer'}.json`,
+            strategy: config.explorationStrategy || process.env.EXPLORER_STRATEGY,
+            maxBreadth: config.maxBreadth || parseInt(process.env.EXPLORER_MAX_BREADTH) || 20,
+            clock: this.clock
+        });
+    }
+
+    stop() {
+        super.stop();
+        return this.frontier.save();
+    }
+
+    getFrontier(options = {}) {
+        return this.frontier.snapshot(options);
+    }
+
+    // Discoveries fan out into neighbouring names one level deeper, up to searchDepth
+    expand(node, words) {
+        if (node.depth >= this.searchDepth) return 0;
+
+        return generateVariants(node.domain, { words })
+            .filter(variant => !(this.registry && this.registry.has(variant)))
+            .filter(variant => this.frontier.push(variant, node.depth + 1, node.domain))
+            .length;
     }
 
     async performSearch() {
-        const domain = this.generateDomainName();
+        await this.frontier.load();
+
+        // An empty frontier starts a new exploration tree from a freshly generated root
+        const node = this.frontier.next() || { domain: this.generateDomainName(), depth: 0, parent: null };
+        const domain = node.domain;
         this.stats.domainsScanned++;
-        this.stats.currentDepth = Math.min(this.stats.currentDepth + 1, this.searchDepth);
+        this.stats.currentDepth = node.depth;
 
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000));
+        try {
+            if (this.isDuplicate(domain)) {
+                this.frontier.markVisited(domain);
+                return;
+            }
 
-        if (Math.random() > 0.8) {
-            this.stats.domainsDiscovered++;
-            this.discovered.push({
-                domain,
-                type: 'hidden',
-                depth: this.stats.currentDepth,
-                potential: Math.floor(Math.random() * 100),
-                registrar: ['GoDaddy', 'Namecheap', 'Network Solutions'][Math.floor(Math.random() * 3)]
-            });
+            let availability;
+            try {
+                availability = await this.lookupAvailability(domain);
+            } catch (error) {
+                this.frontier.requeue(node);
+                throw error;
+            }
+            this.frontier.markVisited(domain);
+
+            if (availability.discoverable && this.claimDomain(domain)) {
+                this.stats.domainsDiscovered++;
+                const appraisal = this.appraise(domain);
+                this.recordDiscovery({
+                    domain,
+                    type: 'hidden',
+                    depth: node.depth,
+                    parent: node.parent,
+                    potential: appraisal.score,
+                    score: appraisal.score,
+                    value: appraisal.value,
+                    registrar: this.registrar ? this.registrar.name : null,
+                    availability: availability.status,
+                    expiresAt: availability.expiresAt
+                });
 
-            this.emit('discovery', {
-                bot: this.name,
-                domain,
-                type: 'hidden',
-                specialty: this.specialty,
-                depth: this.stats.currentDepth
-            });
+                this.emit('discovery', {
+                    bot: this.name,
+                    domain,
+                    type: 'hidden',
+                    specialty: this.specialty,
+                    depth: node.depth,
+                    availability: availability.status
+                });
 
-            if (Math.random() > 0.6) {
-                await this.attemptAcquisition(domain);
-            }
-        }
+                this.expand(node, appraisal.features.words);
 
-        this.emit('status', {
-            bot: this.name,
-            status: 'exploring',
-            message: `Depth: ${this.stats.currentDepth}/${this.searchDepth}, Found: ${this.stats.domainsDiscovered} gems`
-        });
-    }
+                if (availability.available && appraisal.score >= this.minAcquisitionScore) {
+                    await this.requestAcquisition(domain, 'hidden', appraisal.value);
+                }
+            }
 
-    async attemptAcquisition(domain) {
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 2500 + 500));
-        
-        const success = Math.random() > 0.4;
-        if (success) {
-            this.stats.domainsAcquired++;
-            this.acquired.push({
-                domain,
-                acquiredAt: new Date(),
-                price: Math.floor(Math.random() * 2000) + 100
+            this.emit('status', {
+                bot: this.name,
+                status: 'exploring',
+                message: `Depth: ${node.depth}/${this.searchDepth}, Frontier: ${this.frontier.queue.length}, Found: ${this.stats.domainsDiscovered} gems`
             });
+        } finally {
+            // Checkpoints failed cycles too (a requeued node must survive a restart); save() logs its own failures
+            this.frontier.save();
         }
-
-        this.emit('acquisition', {
-            bot: this.name,
-            domain,
-            success,
-            type: 'hidden'
-        });
     }
 }
 
-module.exports = BotManager;
\ No newline at end of file
+// Bot classes a worker can load by name (see isolateBot)
+const BUILT_IN_BOTS = { DomainHunterBot, AssetSeekerBot, RecursiveExplorerBot };
+
+module.exports = BotManager;
+module.exports.BaseDomainBot = BaseDomainBot;
+Object.assign(module.exports, BUILT_IN_BOTS);
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Bot Worker - Worker thread entry point that hosts a single bot for WorkerBot (bots/workerHost.js)
+ * Shared services are proxied to the main thread; bot events and state snapshots are posted back
+ */
+
+const v8 = require('v8');
+const { parentPort, workerData } = require('worker_threads');
+const BotManager = require('./botManager');
+const { DomainValuator, valuationConfigFromEnv } = require('./domainValuator');
+const { createRandom, SystemClock } = require('./simulation');
+const { SYNC_METHODS, ASYNC_METHODS, BOT_EVENTS, serializeError, deserializeError, snapshotOf } = require('./workerHost');
+const { logger } = require('../logging');
+
+// Log entries are written by the main thread, which owns the console and the log file
+logger.setTransport(entry => parentPort.postMessage({ type: 'log', entry }));
+
+const { BaseDomainBot } = BotManager;
+const { key, source, config, seed, dataDir, syncBuffer } = workerData;
+const syncHeader = new Int32Array(syncBuffer, 0, 2);
+const syncPayload = new Uint8Array(syncBuffer, 8);
+const pendingCalls = new Map();
+let nextCallId = 1;
+
+// Blocks this thread until the main thread has written the reply into the shared buffer
+function callSync(target, method, args) {
+    Atomics.store(syncHeader, 0, 0);
+    parentPort.postMessage({ type: 'call', sync: true, target, method, args: args.filter(arg => typeof arg !== 'function') });
+    Atomics.wait(syncHeader, 0, 0);
+
+    const reply = v8.deserialize(syncPayload.slice(0, Atomics.load(syncHeader, 1)));
+    if (reply.error) throw deserializeError(reply.error);
+    return reply.result;
+}
+
+function callAsync(target, method, args) {
+    const id = nextCallId++;
+    return new Promise((resolve, reject) => {
+        pendingCalls.set(id, { resolve, reject });
+        parentPort.postMessage({ type: 'call', id, target, method, args });
+    });
+}
+
+function serviceProxy(target, methods, call) {
+    return methods.reduce((service, method) => {
+        service[method] = (...args) => call(target, method, args);
+        return service;
+    }, {});
+}
+
+function registrarProxy(name) {
+    return name ? { name, ...serviceProxy('registrar', ASYNC_METHODS.registrar, callAsync) } : null;
+}
+
+// Built-in bots are exported from botManager.js; plugins are re-required from their file
+function loadBotClass() {
+    if (source.exportName) {
+        return BotManager[source.exportName];
+    }
+
+    let plugin = require(source.modulePath);
+    if (typeof plugin === 'function' && !(plugin.prototype instanceof BaseDomainBot)) {
+        plugin = plugin({ BaseDomainBot });
+    }
+    const definition = (Array.isArray(plugin) ? plugin : [plugin]).find(entry => entry && entry.key === source.key);
+    if (!definition) {
+        throw new Error(`Plugin ${source.modulePath} no longer provides bot "${source.key}"`);
+    }
+    return definition.BotClass;
+}
+
+const BotClass = loadBotClass();
+const bot = new BotClass({
+    ...config,
+    key,
+    dataDir,
+    clock: new SystemClock(),
+    random: seed !== null ? createRandom(`${seed}:${key}`) : Math.random,
+    registry: serviceProxy('registry', SYNC_METHODS.registry, callSync),
+    store: serviceProxy('store', SYNC_METHODS.store, callSync),
+    budget: serviceProxy('budget', SYNC_METHODS.budget, callSync),
+    approvals: serviceProxy('approvals', SYNC_METHODS.approvals, callSync),
+    watchlists: serviceProxy('watchlists', SYNC_METHODS.watchlists, callSync),
+    availabilityChecker: serviceProxy('availabilityChecker', ASYNC_METHODS.availabilityChecker, callAsync),
+    valuator: new DomainValuator(valuationConfigFromEnv()),
+    registrar: registrarProxy(workerData.registrar)
+});
+bot.key = key;
+
+function postState() {
+    parentPort.postMessage({ type: 'state', state: snapshotOf(bot) });
+}
+
+BOT_EVENTS.forEach(event => {
+    bot.on(event, (data) => {
+        const payload = data.error ? { ...data, error: serializeError(data.error) } : data;
+        parentPort.postMessage({ type: 'event', event, data: payload });
+        postState();
+    });
+});
+
+const COMMANDS = ['start', 'stop', 'pause', 'resume', 'restart', 'updateConfig', 'rehydrate', 'attemptAcquisition', 'drain', 'getFrontier'];
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'registrar') {
+        bot.registrar = registrarProxy(message.name);
+    } else if (message.type === 'reply') {
+        const call = pendingCalls.get(message.id);
+        if (!call) return;
+        pendingCalls.delete(message.id);
+        if (message.error) {
+            call.reject(deserializeError(message.error));
+        } else {
+            call.resolve(message.result);
+        }
+    } else if (message.type === 'command') {
+        try {
+            if (!COMMANDS.includes(message.command) || typeof bot[message.command] !== 'function') {
+                throw new Error(`Unknown worker command: ${message.command}`);
+            }
+            const result = await bot[message.command](...message.args);
+            parentPort.postMessage({ type: 'reply', id: message.id, result });
+        } catch (error) {
+            parentPort.postMessage({ type: 'reply', id: message.id, error: serializeError(error) });
+        }
+        postState();
+    }
+});
+
+// Counters move between events too (domainsScanned, lastActivity), so state is also reported on a timer
+setInterval(postState, 2000);
+postState();
@@ -0,0 +1,244 @@
+/**
+ * Budget Manager - Daily/monthly spending caps, per-bot allocations and a per-domain price ceiling
+ * Acquisitions reserve their quoted price first so concurrent bots can't overspend; the ledger lives in data/budget.json
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'budget' });
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+class BudgetManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.filePath = path.join(config.dataDir || './data', 'budget.json');
+        this.clock = config.clock || { now: () => Date.now() };
+        this.dailyLimit = config.dailyLimit !== undefined ? config.dailyLimit : null;
+        this.monthlyLimit = config.monthlyLimit !== undefined ? config.monthlyLimit : null;
+        this.maxDomainPrice = config.maxDomainPrice !== undefined ? config.maxDomainPrice : null;
+        this.botAllocations = config.botAllocations || {};
+        this.alertThresholds = (config.alertThresholds || [0.8, 1]).slice().sort((a, b) => a - b);
+        this.ledger = [];
+        this.alertsSent = {};
+        this.reservations = new Map();
+        this.nextReservationId = 1;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.ledger = data.ledger || [];
+            this.alertsSent = data.alertsSent || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read budget ledger', { error });
+            }
+        }
+    }
+
+    save() {
+        // Only the current and previous month matter for limits; older entries stay in the exports
+        const cutoff = monthKey(new Date(this.clock.now() - 62 * 86400000));
+        this.ledger = this.ledger.filter(entry => entry.at.slice(0, 7) >= cutoff);
+
+        const data = JSON.stringify({ ledger: this.ledger, alertsSent: this.alertsSent }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to persist budget ledger', { error });
+            });
+        return this.writeQueue;
+    }
+
+    spent({ bot = null, period = 'month', now = new Date(this.clock.now()) } = {}) {
+        const key = period === 'day' ? dayKey(now) : monthKey(now);
+        const committed = this.ledger
+            .filter(entry => entry.at.slice(0, key.length) === key && (!bot || entry.bot === bot))
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        const reserved = Array.from(this.reservations.values())
+            .filter(r => !bot || r.bot === bot)
+            .reduce((sum, r) => sum + r.amount, 0);
+        return round(committed + reserved);
+    }
+
+    allocationFor(bot) {
+        const allocation = this.botAllocations[bot];
+        return allocation === undefined ? null : allocation;
+    }
+
+    // Cheap pre-check used before an acquisition is even attempted
+    canSpend(bot) {
+        if (this.dailyLimit !== null && this.spent({ period: 'day' }) >= this.dailyLimit) {
+            return { allowed: false, reason: 'Daily budget exhausted' };
+        }
+        if (this.monthlyLimit !== null && this.spent({ period: 'month' }) >= this.monthlyLimit) {
+            return { allowed: false, reason: 'Monthly budget exhausted' };
+        }
+        const allocation = this.allocationFor(bot);
+        if (allocation !== null && this.spent({ bot, period: 'month' }) >= allocation) {
+            return { allowed: false, reason: `Budget allocation for ${bot} exhausted` };
+        }
+        return { allowed: true };
+    }
+
+    check(bot, price) {
+        if (this.maxDomainPrice !== null && price > this.maxDomainPrice) {
+            return { allowed: false, reason: `Price ${price} exceeds per-domain maximum ${this.maxDomainPrice}` };
+        }
+        if (this.dailyLimit !== null && this.spent({ period: 'day' }) + price > this.dailyLimit) {
+            return { allowed: false, reason: 'Purchase would exceed the daily budget' };
+        }
+        if (this.monthlyLimit !== null && this.spent({ period: 'month' }) + price > this.monthlyLimit) {
+            return { allowed: false, reason: 'Purchase would exceed the monthly budget' };
+        }
+        const allocation = this.allocationFor(bot);
+        if (allocation !== null && this.spent({ bot, period: 'month' }) + price > allocation) {
+            return { allowed: false, reason: `Purchase would exceed the allocation for ${bot}` };
+        }
+        return { allowed: true };
+    }
+
+    reserve(bot, domain, price) {
+        const decision = this.check(bot, price);
+        if (!decision.allowed) return decision;
+
+        const id = this.nextReservationId++;
+        this.reservations.set(id, { id, bot, domain, amount: price, at: new Date(this.clock.now()).toISOString() });
+        return { allowed: true, reservationId: id };
+    }
+
+    release(reservationId) {
+        this.reservations.delete(reservationId);
+    }
+
+    commit(reservationId, amount) {
+        const reservation = this.reservations.get(reservationId);
+        if (!reservation) return null;
+
+        this.reservations.delete(reservationId);
+        const entry = {
+            bot: reservation.bot,
+            domain: reservation.domain,
+            amount: round(amount !== undefined && amount !== null ? amount : reservation.amount),
+            at: new Date(this.clock.now()).toISOString()
+        };
+        this.ledger.push(entry);
+        this.checkThresholds(entry.bot);
+        this.save();
+        return entry;
+    }
+
+    checkThresholds(bot) {
+        const now = new Date(this.clock.now());
+        const scopes = [
+            { scope: 'daily', period: dayKey(now), limit: this.dailyLimit, spent: this.spent({ period: 'day', now }) },
+            { scope: 'monthly', period: monthKey(now), limit: this.monthlyLimit, spent: this.spent({ period: 'month', now }) },
+            { scope: `bot:${bot}`, period: monthKey(now), limit: this.allocationFor(bot), spent: this.spent({ bot, period: 'month', now }) }
+        ];
+
+        scopes.forEach(({ scope, period, limit, spent }) => {
+            if (!limit) return;
+
+            // Alert once per threshold per period, even across restarts
+            this.alertThresholds.forEach(threshold => {
+                const alertKey = `${scope}:${period}:${threshold}`;
+                if (spent >= limit * threshold && !this.alertsSent[alertKey]) {
+                    this.alertsSent[alertKey] = new Date(this.clock.now()).toISOString();
+                    this.emit('thresholdCrossed', { scope, period, threshold, spent, limit });
+                }
+            });
+        });
+
+        // Drop alert markers from earlier months
+        const currentMonth = monthKey(now);
+        Object.keys(this.alertsSent).forEach(key => {
+            const period = key.split(':').find(part => /^\d{4}-\d{2}/.test(part));
+            if (period && period.slice(0, 7) < currentMonth) {
+                delete this.alertsSent[key];
+            }
+        });
+    }
+
+    getStatus(botNames = []) {
+        const now = new Date(this.clock.now());
+        const spentToday = this.spent({ period: 'day', now });
+        const spentThisMonth = this.spent({ period: 'month', now });
+        const bots = new Set([...botNames, ...Object.keys(this.botAllocations)]);
+
+        return {
+            limits: {
+                daily: this.dailyLimit,
+                monthly: this.monthlyLimit,
+                maxDomainPrice: this.maxDomainPrice,
+                alertThresholds: this.alertThresholds
+            },
+            daily: {
+                period: dayKey(now),
+                spent: spentToday,
+                remaining: this.dailyLimit !== null ? round(Math.max(this.dailyLimit - spentToday, 0)) : null
+            },
+            monthly: {
+                period: monthKey(now),
+                spent: spentThisMonth,
+                remaining: this.monthlyLimit !== null ? round(Math.max(this.monthlyLimit - spentThisMonth, 0)) : null
+            },
+            bots: Array.from(bots).map(bot => {
+                const allocation = this.allocationFor(bot);
+                const spent = this.spent({ bot, period: 'month', now });
+                return {
+                    bot,
+                    allocation,
+                    spent,
+                    remaining: allocation !== null ? round(Math.max(allocation - spent, 0)) : null
+                };
+            }),
+            reserved: round(Array.from(this.reservations.values()).reduce((sum, r) => sum + r.amount, 0)),
+            recent: this.ledger.slice(-20).reverse()
+        };
+    }
+}
+
+function parseAllocations(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn('BUDGET_BOT_ALLOCATIONS is not valid JSON, ignoring per-bot allocations');
+        return {};
+    }
+}
+
+// An explicit 0 is a real cap that blocks all spending; only unset or unparsable values mean unlimited
+function limitFromEnv(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function budgetConfigFromEnv(env = process.env) {
+    return {
+        dailyLimit: limitFromEnv(env.BUDGET_DAILY_LIMIT),
+        monthlyLimit: limitFromEnv(env.BUDGET_MONTHLY_LIMIT),
+        maxDomainPrice: limitFromEnv(env.BUDGET_MAX_DOMAIN_PRICE),
+        botAllocations: parseAllocations(env.BUDGET_BOT_ALLOCATIONS),
+        alertThresholds: env.BUDGET_ALERT_THRESHOLDS
+            ? env.BUDGET_ALERT_THRESHOLDS.split(',').map(parseFloat).filter(t => t > 0)
+            : [0.8, 1]
+    };
+}
+
+module.exports = { BudgetManager, budgetConfigFromEnv };
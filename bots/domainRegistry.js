@@ -0,0 +1,75 @@
+/**
+ * Domain Registry - Shared claim table so bots never report or bid on the same domain
+ * The first bot to claim a domain owns it; only the owner may attempt an acquisition
+ */
+
+class DomainRegistry {
+    constructor(config = {}) {
+        this.clock = config.clock || { now: () => Date.now() };
+        this.claims = new Map();
+        this.inFlight = new Set();
+    }
+
+    has(domain) {
+        return this.claims.has(domain.toLowerCase());
+    }
+
+    owner(domain) {
+        const claim = this.claims.get(domain.toLowerCase());
+        return claim ? claim.bot : null;
+    }
+
+    // Returns false when the domain is already claimed, by this bot or any other
+    claim(domain, bot) {
+        const name = domain.toLowerCase();
+        if (this.claims.has(name)) return false;
+
+        this.claims.set(name, { bot, claimedAt: new Date(this.clock.now()) });
+        return true;
+    }
+
+    release(domain, bot) {
+        const name = domain.toLowerCase();
+        const claim = this.claims.get(name);
+        if (!claim || claim.bot !== bot) return false;
+
+        this.claims.delete(name);
+        this.inFlight.delete(name);
+        return true;
+    }
+
+    beginAcquisition(domain, bot) {
+        const name = domain.toLowerCase();
+        const claim = this.claims.get(name);
+
+        if (claim && claim.bot !== bot) return false;
+        if (this.inFlight.has(name)) return false;
+
+        if (!claim) {
+            this.claims.set(name, { bot, claimedAt: new Date(this.clock.now()) });
+        }
+        this.inFlight.add(name);
+        return true;
+    }
+
+    endAcquisition(domain) {
+        this.inFlight.delete(domain.toLowerCase());
+    }
+
+    seed(records) {
+        records.forEach(record => {
+            if (record.bot) {
+                this.claim(record.domain, record.bot);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            claimed: this.claims.size,
+            acquisitionsInFlight: this.inFlight.size
+        };
+    }
+}
+
+module.exports = DomainRegistry;
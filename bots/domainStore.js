@@ -0,0 +1,224 @@
+/**
+ * Domain Store - Durable record of every discovered and acquired domain
+ * Append-only NDJSON journal replayed on top of a snapshot; compaction folds the journal into a new snapshot
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'domainStore' });
+
+class DomainStore {
+    constructor(config = {}) {
+        this.dataDir = config.dataDir || './data';
+        this.snapshotPath = path.join(this.dataDir, 'domains.snapshot.json');
+        this.journalPath = path.join(this.dataDir, 'domains.journal');
+        this.compactThreshold = config.compactThreshold || 1000;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.records = new Map();
+        this.journalEntries = 0;
+        this.writeQueue = Promise.resolve();
+        this.isOpen = false;
+        this.lastCompaction = null;
+    }
+
+    async open() {
+        if (this.isOpen) return;
+
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        try {
+            const snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+            (snapshot.records || []).forEach(record => this.records.set(record.domain, record));
+            this.lastCompaction = snapshot.compactedAt || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read domain store snapshot', { error });
+            }
+        }
+
+        try {
+            const journal = await fs.readFile(this.journalPath, 'utf8');
+            journal.split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    this.apply(JSON.parse(line));
+                    this.journalEntries++;
+                } catch (error) {
+                    // A crash mid-append leaves a torn last line; skip it rather than refuse to boot
+                    logger.warn(`Skipping unreadable domain journal line ${index + 1}`);
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read domain store journal', { error });
+            }
+        }
+
+        this.isOpen = true;
+
+        if (this.journalEntries >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    apply(entry) {
+        if (entry.op === 'remove') {
+            this.records.delete(entry.domain);
+            return;
+        }
+
+        const existing = this.records.get(entry.domain);
+        this.records.set(entry.domain, {
+            ...(existing || { domain: entry.domain, createdAt: entry.ts }),
+            ...entry.fields,
+            domain: entry.domain,
+            updatedAt: entry.ts
+        });
+    }
+
+    append(entry) {
+        this.apply(entry);
+        this.journalEntries++;
+
+        const line = JSON.stringify(entry) + '\n';
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(this.journalPath, line))
+            .then(() => {
+                if (this.journalEntries >= this.compactThreshold) {
+                    return this.compactNow();
+                }
+            })
+            .catch(error => {
+                logger.error('Failed to write domain store journal', { error });
+            });
+
+        return this.writeQueue;
+    }
+
+    upsert(domain, fields) {
+        return this.append({
+            op: 'upsert',
+            ts: new Date(this.clock.now()).toISOString(),
+            domain: domain.toLowerCase(),
+            fields
+        });
+    }
+
+    remove(domain) {
+        return this.append({
+            op: 'remove',
+            ts: new Date(this.clock.now()).toISOString(),
+            domain: domain.toLowerCase()
+        });
+    }
+
+    recordDiscovery(bot, entry) {
+        const existing = this.get(entry.domain);
+        return this.upsert(entry.domain, {
+            ...entry,
+            bot,
+            // Never demote an acquired domain back to discovered
+            status: existing && existing.status === 'acquired' ? 'acquired' : 'discovered',
+            discoveredAt: (existing && existing.discoveredAt) || new Date(this.clock.now()).toISOString()
+        });
+    }
+
+    recordAcquisition(bot, entry) {
+        return this.upsert(entry.domain, {
+            ...entry,
+            bot,
+            status: 'acquired',
+            acquiredAt: entry.acquiredAt ? new Date(entry.acquiredAt).toISOString() : new Date(this.clock.now()).toISOString()
+        });
+    }
+
+    get(domain) {
+        return this.records.get(domain.toLowerCase()) || null;
+    }
+
+    has(domain) {
+        return this.records.has(domain.toLowerCase());
+    }
+
+    list(filter = {}) {
+        return Array.from(this.entries(filter));
+    }
+
+    // Lazily yields matching records so exports can stream without copying the store.
+    // from/to (ISO strings) bound `dateField`, which is discoveredAt unless set to acquiredAt
+    *entries(filter = {}) {
+        const dateField = filter.dateField || 'discoveredAt';
+        for (const record of this.records.values()) {
+            if (filter.bot && record.bot !== filter.bot) continue;
+            if (filter.status && record.status !== filter.status) continue;
+            if (filter.type && record.type !== filter.type) continue;
+            if (filter.registrar && record.registrar !== filter.registrar) continue;
+            if (filter.from || filter.to) {
+                const date = record[dateField];
+                if (!date) continue;
+                if (filter.from && date < filter.from) continue;
+                if (filter.to && date > filter.to) continue;
+            }
+            yield record;
+        }
+    }
+
+    getStats() {
+        const stats = {
+            total: this.records.size,
+            discovered: 0,
+            acquired: 0,
+            totalSpend: 0,
+            byBot: {},
+            journalEntries: this.journalEntries,
+            lastCompaction: this.lastCompaction
+        };
+
+        this.records.forEach(record => {
+            const bot = stats.byBot[record.bot] || (stats.byBot[record.bot] = { discovered: 0, acquired: 0 });
+            if (record.status === 'acquired') {
+                stats.acquired++;
+                bot.acquired++;
+                stats.totalSpend += Number(record.price) || 0;
+            } else {
+                stats.discovered++;
+                bot.discovered++;
+            }
+        });
+
+        stats.totalSpend = Math.round(stats.totalSpend * 100) / 100;
+        return stats;
+    }
+
+    // Queue compaction behind pending journal writes so no append is lost
+    compact() {
+        this.writeQueue = this.writeQueue.then(() => this.compactNow()).catch(error => {
+            logger.error('Domain store compaction failed', { error });
+        });
+        return this.writeQueue;
+    }
+
+    async compactNow() {
+        const compactedAt = new Date(this.clock.now()).toISOString();
+        const snapshot = {
+            version: 1,
+            compactedAt,
+            records: Array.from(this.records.values())
+        };
+
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.rename(tmpPath, this.snapshotPath);
+        await fs.writeFile(this.journalPath, '');
+
+        this.journalEntries = 0;
+        this.lastCompaction = compactedAt;
+    }
+
+    async close() {
+        await this.compact();
+        this.isOpen = false;
+    }
+}
+
+module.exports = DomainStore;
@@ -0,0 +1,159 @@
+/**
+ * Domain Valuator - Deterministic appraisal of a domain from its features
+ * Scores length, TLD, dictionary words, hyphens/digits, keyword hits and category, then maps the score to a value
+ */
+
+const logger = require('../logging').logger.child({ component: 'valuator' });
+
+const DICTIONARY = [
+    'ai', 'app', 'art', 'asset', 'auto', 'bank', 'base', 'bet', 'bit', 'block', 'blue', 'book', 'box', 'brand',
+    'buy', 'cafe', 'cash', 'chain', 'chat', 'city', 'click', 'cloud', 'club', 'code', 'coin', 'core', 'crypto',
+    'data', 'deal', 'defi', 'design', 'dev', 'digital', 'direct', 'domain', 'dream', 'easy', 'edge', 'energy',
+    'express', 'fast', 'fi', 'file', 'finance', 'fit', 'flow', 'fly', 'food', 'force', 'free', 'fund', 'game',
+    'gaming', 'gem', 'global', 'go', 'gold', 'green', 'grid', 'group', 'guide', 'health', 'help', 'home', 'host',
+    'hub', 'idea', 'info', 'io', 'jet', 'key', 'lab', 'land', 'launch', 'learn', 'life', 'light', 'line', 'link',
+    'live', 'loan', 'local', 'logic', 'mail', 'map', 'market', 'media', 'meta', 'mind', 'mint', 'mobile', 'money',
+    'net', 'network', 'new', 'next', 'nft', 'node', 'one', 'open', 'pay', 'peak', 'pixel', 'plan', 'play', 'plus',
+    'point', 'pop', 'port', 'power', 'prime', 'pro', 'quest', 'quick', 'rank', 'real', 'red', 'rent', 'rocket',
+    'saas', 'safe', 'sale', 'scan', 'secure', 'seek', 'shop', 'sky', 'smart', 'social', 'soft', 'solar', 'space',
+    'spot', 'star', 'start', 'store', 'stream', 'sun', 'swap', 'sync', 'system', 'team', 'tech', 'token', 'tool',
+    'top', 'trade', 'travel', 'trust', 'up', 'vault', 'venture', 'verse', 'vision', 'wallet', 'wave', 'web',
+    'wise', 'work', 'world', 'zone'
+];
+
+const DEFAULT_KEYWORDS = ['ai', 'crypto', 'cloud', 'data', 'defi', 'nft', 'pay', 'bank', 'health', 'meta', 'token', 'trade'];
+
+const DEFAULT_WEIGHTS = {
+    length: 25,
+    tld: 25,
+    dictionary: 20,
+    keywords: 15,
+    category: 5,
+    brevityBonus: 10,
+    hyphenPenalty: 10,
+    digitPenalty: 15
+};
+
+const DEFAULT_TLD_SCORES = { com: 1, ai: 0.85, io: 0.8, net: 0.6, org: 0.6, co: 0.6, tech: 0.5, app: 0.55 };
+const DEFAULT_CATEGORY_SCORES = { DeFi: 1, SaaS: 0.9, NFT: 0.8, Gaming: 0.7 };
+
+class DomainValuator {
+    constructor(config = {}) {
+        this.weights = { ...DEFAULT_WEIGHTS, ...(config.weights || {}) };
+        this.tldScores = { ...DEFAULT_TLD_SCORES, ...(config.tldScores || {}) };
+        this.defaultTldScore = config.defaultTldScore !== undefined ? config.defaultTldScore : 0.3;
+        this.categoryScores = { ...DEFAULT_CATEGORY_SCORES, ...(config.categoryScores || {}) };
+        this.keywords = (config.keywords || DEFAULT_KEYWORDS).map(k => k.toLowerCase());
+        this.dictionary = new Set([...DICTIONARY, ...(config.extraWords || [])].map(w => w.toLowerCase()));
+        this.maxWordLength = Math.max(...Array.from(this.dictionary).map(w => w.length));
+        this.minValue = config.minValue || 10;
+        this.maxValue = config.maxValue || 25000;
+        this.curve = config.curve || 3;
+        this.currency = config.currency || 'USD';
+    }
+
+    // Longest-coverage segmentation of the label into dictionary words
+    segment(label) {
+        const best = new Array(label.length + 1).fill(null);
+        best[0] = { covered: 0, words: [] };
+
+        for (let i = 0; i < label.length; i++) {
+            if (!best[i]) continue;
+
+            const skip = best[i + 1];
+            if (!skip || skip.covered < best[i].covered) {
+                best[i + 1] = { covered: best[i].covered, words: best[i].words };
+            }
+
+            for (let len = 2; len <= this.maxWordLength && i + len <= label.length; len++) {
+                const word = label.slice(i, i + len);
+                if (!this.dictionary.has(word)) continue;
+
+                const candidate = { covered: best[i].covered + len, words: [...best[i].words, word] };
+                const current = best[i + len];
+                if (!current || candidate.covered > current.covered ||
+                    (candidate.covered === current.covered && candidate.words.length < current.words.length)) {
+                    best[i + len] = candidate;
+                }
+            }
+        }
+
+        return best[label.length];
+    }
+
+    extractFeatures(domain, context = {}) {
+        const name = domain.toLowerCase();
+        const [label, ...rest] = name.split('.');
+        const tld = rest.join('.');
+        const letters = label.replace(/[^a-z]/g, '');
+        const segmentation = this.segment(letters);
+
+        return {
+            label,
+            tld,
+            length: label.length,
+            hyphens: (label.match(/-/g) || []).length,
+            digits: (label.match(/[0-9]/g) || []).length,
+            words: segmentation.words,
+            dictionaryCoverage: letters.length > 0 ? segmentation.covered / letters.length : 0,
+            keywordHits: this.keywords.filter(keyword => label.includes(keyword)),
+            category: context.category || null
+        };
+    }
+
+    appraise(domain, context = {}) {
+        const features = this.extractFeatures(domain, context);
+        const w = this.weights;
+
+        const breakdown = {
+            length: w.length * Math.max(0, Math.min(1, (20 - features.length) / 16)),
+            tld: w.tld * (Object.hasOwn(this.tldScores, features.tld) ? this.tldScores[features.tld] : this.defaultTldScore),
+            dictionary: w.dictionary * features.dictionaryCoverage,
+            keywords: w.keywords * Math.min(features.keywordHits.length, 2) / 2,
+            category: w.category * (features.category && Object.hasOwn(this.categoryScores, features.category) ? this.categoryScores[features.category] : 0),
+            // Short all-word names (one or two words) are worth a premium
+            brevity: features.dictionaryCoverage === 1 && features.words.length <= 2 ? w.brevityBonus : 0,
+            hyphens: -w.hyphenPenalty * features.hyphens,
+            digits: features.digits > 0 ? -w.digitPenalty : 0
+        };
+
+        Object.keys(breakdown).forEach(key => {
+            breakdown[key] = Math.round(breakdown[key] * 100) / 100;
+        });
+
+        const raw = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+        const score = Math.round(Math.max(0, Math.min(100, raw)));
+        const value = Math.round(this.minValue + (this.maxValue - this.minValue) * Math.pow(score / 100, this.curve));
+
+        return {
+            domain: domain.toLowerCase(),
+            score,
+            value,
+            currency: this.currency,
+            features,
+            breakdown
+        };
+    }
+}
+
+function parseJson(value, name) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn(`${name} is not valid JSON, using defaults`);
+        return {};
+    }
+}
+
+function valuationConfigFromEnv(env = process.env) {
+    return {
+        weights: parseJson(env.VALUATION_WEIGHTS, 'VALUATION_WEIGHTS'),
+        tldScores: parseJson(env.VALUATION_TLD_SCORES, 'VALUATION_TLD_SCORES'),
+        keywords: env.VALUATION_KEYWORDS ? env.VALUATION_KEYWORDS.split(',').map(k => k.trim()).filter(Boolean) : undefined,
+        minValue: parseFloat(env.VALUATION_MIN_VALUE) || undefined,
+        maxValue: parseFloat(env.VALUATION_MAX_VALUE) || undefined
+    };
+}
+
+module.exports = { DomainValuator, valuationConfigFromEnv, DEFAULT_WEIGHTS };
@@ -0,0 +1,115 @@
+/**
+ * Exploration Frontier - Queue of domains waiting to be explored, with a visited set and per-level breadth cap
+ * Checkpointed to a JSON file so a stopped explorer resumes where it left off
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'frontier' });
+
+class ExplorationFrontier {
+    constructor(config = {}) {
+        this.filePath = path.join(config.dataDir || './data', config.fileName || 'frontier.json');
+        this.strategy = config.strategy === 'dfs' ? 'dfs' : 'bfs';
+        this.maxBreadth = config.maxBreadth || 20;
+        this.maxVisited = config.maxVisited || 50000;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.queue = [];
+        this.visited = new Set();
+        this.loaded = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Memoized so callers can await it on every cycle
+    load() {
+        if (!this.loaded) {
+            this.loaded = fs.readFile(this.filePath, 'utf8')
+                .then(raw => {
+                    const data = JSON.parse(raw);
+                    this.queue = data.queue || [];
+                    this.visited = new Set(data.visited || []);
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        logger.error('Failed to read exploration frontier', { error });
+                    }
+                });
+        }
+        return this.loaded;
+    }
+
+    save() {
+        const data = JSON.stringify({
+            strategy: this.strategy,
+            savedAt: new Date(this.clock.now()).toISOString(),
+            queue: this.queue,
+            visited: Array.from(this.visited)
+        });
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to checkpoint exploration frontier', { error });
+            });
+        return this.writeQueue;
+    }
+
+    has(domain) {
+        const name = domain.toLowerCase();
+        return this.visited.has(name) || this.queue.some(node => node.domain === name);
+    }
+
+    breadthAt(depth) {
+        return this.queue.filter(node => node.depth === depth).length;
+    }
+
+    push(domain, depth, parent = null) {
+        const name = domain.toLowerCase();
+        if (this.has(name) || this.breadthAt(depth) >= this.maxBreadth) return false;
+
+        this.queue.push({ domain: name, depth, parent, addedAt: new Date(this.clock.now()).toISOString() });
+        return true;
+    }
+
+    next() {
+        const node = this.strategy === 'dfs' ? this.queue.pop() : this.queue.shift();
+        return node || null;
+    }
+
+    // Puts a node back so it is the next one explored, e.g. after a failed lookup
+    requeue(node) {
+        if (this.strategy === 'dfs') {
+            this.queue.push(node);
+        } else {
+            this.queue.unshift(node);
+        }
+    }
+
+    markVisited(domain) {
+        this.visited.add(domain.toLowerCase());
+        // Sets iterate in insertion order, so this forgets the oldest entries first
+        while (this.visited.size > this.maxVisited) {
+            this.visited.delete(this.visited.values().next().value);
+        }
+    }
+
+    snapshot({ limit = 100 } = {}) {
+        const levels = {};
+        this.queue.forEach(node => {
+            levels[node.depth] = (levels[node.depth] || 0) + 1;
+        });
+
+        const ordered = this.strategy === 'dfs' ? [...this.queue].reverse() : this.queue;
+        return {
+            strategy: this.strategy,
+            maxBreadth: this.maxBreadth,
+            size: this.queue.length,
+            visited: this.visited.size,
+            levels,
+            queue: ordered.slice(0, limit)
+        };
+    }
+}
+
+module.exports = ExplorationFrontier;
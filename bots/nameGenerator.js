@@ -0,0 +1,185 @@
+/**
+ * Name Generator - Builds candidate domain names from a watchlist
+ * Expands seed keywords with synonyms and affixes through patterns; output is deterministic and digit-free
+ * Also derives neighbouring names (plurals, hyphenation, TLD swaps, adjacent keywords) for recursive exploration
+ */
+
+const SYNONYMS = {
+    ai: ['smart', 'mind', 'neural'],
+    asset: ['vault', 'holding'],
+    bank: ['vault', 'fund'],
+    cloud: ['sky', 'nimbus'],
+    coin: ['token', 'mint'],
+    crypto: ['chain', 'coin', 'block'],
+    data: ['info', 'stats'],
+    domain: ['name', 'site'],
+    fast: ['quick', 'rapid'],
+    game: ['play', 'quest'],
+    health: ['care', 'well'],
+    home: ['nest', 'house'],
+    market: ['shop', 'store', 'trade'],
+    money: ['cash', 'fund', 'pay'],
+    pay: ['cash', 'wallet'],
+    shop: ['store', 'market'],
+    tech: ['labs', 'dev'],
+    travel: ['trip', 'journey'],
+    web: ['net', 'site']
+};
+
+const PREFIXES = ['get', 'try', 'go', 'my', 'the', 'use', 'join'];
+const SUFFIXES = ['hub', 'ly', 'ify', 'app', 'hq', 'labs', 'base', 'zone'];
+const DEFAULT_PATTERNS = ['{keyword}', '{keyword}{keyword}', '{prefix}{keyword}', '{keyword}{suffix}'];
+const DEFAULT_TLDS = ['com', 'io', 'ai', 'net'];
+const PATTERN_TOKENS = ['{keyword}', '{seed}', '{prefix}', '{suffix}'];
+const VARIANT_TLDS = ['com', 'net', 'io', 'ai', 'co', 'app'];
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+// Own keys only, so a keyword like "constructor" doesn't pick up Object.prototype members
+function synonymsOf(word, synonyms = SYNONYMS) {
+    return Object.hasOwn(synonyms, word) ? synonyms[word] : null;
+}
+
+function isExcluded(label, exclusions) {
+    return exclusions.some(exclusion => {
+        if (exclusion.startsWith('/') && exclusion.lastIndexOf('/') > 0) {
+            const end = exclusion.lastIndexOf('/');
+            return new RegExp(exclusion.slice(1, end), exclusion.slice(end + 1)).test(label);
+        }
+        return label.includes(exclusion.toLowerCase());
+    });
+}
+
+// {seed} is a raw watchlist keyword; {keyword} also allows its synonyms. Labels are yielded one at a time,
+// so a caller that stops at its cap never builds the rest of the keyword × token product
+function* expandPattern(pattern, vocab) {
+    const parts = pattern.split(/(\{keyword\}|\{seed\}|\{prefix\}|\{suffix\})/).filter(Boolean);
+    const choices = parts.map(part => ({
+        '{keyword}': vocab.keywords,
+        '{seed}': vocab.seeds,
+        '{prefix}': vocab.prefixes,
+        '{suffix}': vocab.suffixes
+    }[part] || [part]));
+
+    function* expand(index, label) {
+        if (index === choices.length) {
+            yield label;
+            return;
+        }
+        for (const option of choices[index]) {
+            // Don't repeat a word back to back (cloudcloud)
+            if (label && label.endsWith(option)) continue;
+            yield* expand(index + 1, label + option);
+        }
+    }
+
+    yield* expand(0, '');
+}
+
+function generateCandidates(watchlist, options = {}) {
+    const maxCandidates = options.maxCandidates || 20000;
+    // Labels rejected by the length, digit and exclusion checks still cost time, so they count towards a budget too
+    let labelBudget = maxCandidates * 10;
+    const seeds = unique((watchlist.keywords || []).map(k => k.toLowerCase()));
+    const customSynonyms = watchlist.synonyms || {};
+    const useSynonyms = watchlist.useSynonyms !== false;
+
+    const keywords = unique(seeds.flatMap(seed => [
+        seed,
+        ...(useSynonyms ? (synonymsOf(seed, customSynonyms) || synonymsOf(seed) || []) : [])
+    ]));
+
+    const vocab = {
+        seeds,
+        keywords,
+        prefixes: watchlist.prefixes || PREFIXES,
+        suffixes: watchlist.suffixes || SUFFIXES
+    };
+    const patterns = watchlist.patterns && watchlist.patterns.length > 0 ? watchlist.patterns : DEFAULT_PATTERNS;
+    const tlds = (watchlist.tlds && watchlist.tlds.length > 0 ? watchlist.tlds : DEFAULT_TLDS).map(t => t.replace(/^\./, ''));
+    const exclusions = watchlist.exclusions || [];
+
+    const candidates = [];
+    const seen = new Set();
+
+    for (const pattern of patterns) {
+        for (const label of expandPattern(pattern, vocab)) {
+            if (--labelBudget < 0) return candidates;
+            if (label.length < 2 || label.length > 63 || /[0-9]/.test(label) || isExcluded(label, exclusions)) continue;
+
+            for (const tld of tlds) {
+                const domain = `${label}.${tld}`;
+                if (seen.has(domain)) continue;
+                seen.add(domain);
+                candidates.push(domain);
+                if (candidates.length >= maxCandidates) return candidates;
+            }
+        }
+    }
+
+    return candidates;
+}
+
+function pluralize(label) {
+    if (/(s|x|z|ch|sh)$/.test(label)) return `${label}es`;
+    if (/[^aeiou]y$/.test(label)) return `${label.slice(0, -1)}ies`;
+    return `${label}s`;
+}
+
+function singularize(label) {
+    if (label.endsWith('ies')) return `${label.slice(0, -3)}y`;
+    if (/(ss|us)$/.test(label)) return label;
+    return label.endsWith('s') ? label.slice(0, -1) : label;
+}
+
+// words is the label split into dictionary words (e.g. from DomainValuator#segment); without it the label is one word
+function generateVariants(domain, options = {}) {
+    const [label, ...rest] = domain.toLowerCase().split('.');
+    const tld = rest.join('.');
+    const plain = label.replace(/-/g, '');
+    const words = options.words && options.words.length > 0 ? options.words : [plain];
+    const tlds = options.tlds || VARIANT_TLDS;
+    const labels = [];
+
+    const singular = singularize(label);
+    labels.push(singular !== label ? singular : pluralize(label));
+
+    if (label.includes('-')) {
+        labels.push(plain);
+    } else if (words.length > 1 && words.join('') === plain) {
+        labels.push(words.join('-'));
+    }
+
+    words.forEach(word => {
+        (synonymsOf(word) || []).forEach(synonym => labels.push(plain.replace(word, synonym)));
+    });
+    PREFIXES.slice(0, 2).forEach(prefix => labels.push(`${prefix}${plain}`));
+    SUFFIXES.slice(0, 2).forEach(suffix => labels.push(`${plain}${suffix}`));
+
+    const variants = [
+        ...labels.map(variant => `${variant}.${tld}`),
+        ...tlds.filter(other => other !== tld).map(other => `${label}.${other}`)
+    ];
+
+    return Array.from(new Set(variants)).filter(variant => {
+        const variantLabel = variant.split('.')[0];
+        return variant !== domain.toLowerCase() &&
+            variantLabel.length <= 63 &&
+            /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(variantLabel);
+    });
+}
+
+module.exports = {
+    generateCandidates,
+    generateVariants,
+    expandPattern,
+    SYNONYMS,
+    PREFIXES,
+    SUFFIXES,
+    DEFAULT_PATTERNS,
+    DEFAULT_TLDS,
+    PATTERN_TOKENS,
+    VARIANT_TLDS
+};
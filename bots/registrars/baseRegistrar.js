@@ -0,0 +1,147 @@
+/**
+ * Base Registrar - Common interface and HTTP plumbing for registrar adapters
+ * Every adapter implements checkAvailability, quotePrice, register and getBalance
+ */
+
+const http = require('http');
+const https = require('https');
+
+class RegistrarError extends Error {
+    constructor(message, { code = 'REGISTRAR_ERROR', status = null, registrar = null } = {}) {
+        super(message);
+        this.name = 'RegistrarError';
+        this.code = code;
+        this.status = status;
+        this.registrar = registrar;
+    }
+}
+
+class BaseRegistrar {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.baseUrl = config.baseUrl || null;
+        this.timeout = config.timeout || 10000;
+        this.currency = config.currency || 'USD';
+    }
+
+    // Resolves to { domain, available, premium }
+    async checkAvailability(domain) {
+        throw new Error('checkAvailability must be implemented by registrar adapter');
+    }
+
+    // Resolves to { domain, price, currency, premium }
+    async quotePrice(domain) {
+        throw new Error('quotePrice must be implemented by registrar adapter');
+    }
+
+    // Resolves to { domain, success, orderId, price, currency }
+    async register(domain, options = {}) {
+        throw new Error('register must be implemented by registrar adapter');
+    }
+
+    // Resolves to { available, currency }; available is null when the provider can't report it
+    async getBalance() {
+        throw new Error('getBalance must be implemented by registrar adapter');
+    }
+
+    // For providers whose purchase call takes no price ceiling: re-quotes just before buying and refuses when
+    // the price has moved above options.maxPrice. Resolves to the fresh quote, or null when there is no ceiling
+    async ensurePriceWithin(domain, maxPrice) {
+        if (maxPrice === undefined || maxPrice === null) return null;
+
+        const quote = await this.quotePrice(domain);
+        if (quote.price > maxPrice) {
+            throw new RegistrarError(`${domain} costs ${quote.price}, above the ${maxPrice} ceiling`, {
+                code: 'PRICE_CHANGED',
+                registrar: this.name
+            });
+        }
+        return quote;
+    }
+
+    request(method, pathOrUrl, { headers = {}, body = null, query = null } = {}) {
+        const target = new URL(pathOrUrl, this.baseUrl || undefined);
+        if (query) {
+            Object.entries(query).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) {
+                    target.searchParams.set(key, String(value));
+                }
+            });
+        }
+
+        const payload = body === null ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+        const transport = target.protocol === 'https:' ? https : http;
+
+        const options = {
+            method,
+            hostname: target.hostname,
+            port: target.port || (target.protocol === 'https:' ? 443 : 80),
+            path: target.pathname + target.search,
+            headers: {
+                Accept: 'application/json',
+                ...headers
+            },
+            timeout: this.timeout
+        };
+
+        if (payload !== null) {
+            options.headers['Content-Type'] = options.headers['Content-Type'] || 'application/json';
+            options.headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(options, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+            });
+
+            req.on('timeout', () => {
+                req.destroy(new RegistrarError(`${this.name} request timed out after ${this.timeout}ms`, {
+                    code: 'TIMEOUT',
+                    registrar: this.name
+                }));
+            });
+
+            req.on('error', (error) => {
+                reject(error instanceof RegistrarError ? error : new RegistrarError(`${this.name} request failed: ${error.message}`, {
+                    code: 'NETWORK_ERROR',
+                    registrar: this.name
+                }));
+            });
+
+            if (payload !== null) {
+                req.write(payload);
+            }
+            req.end();
+        });
+    }
+
+    async requestJson(method, pathOrUrl, options = {}) {
+        const response = await this.request(method, pathOrUrl, options);
+        let data = null;
+
+        try {
+            data = response.body ? JSON.parse(response.body) : null;
+        } catch (error) {
+            throw new RegistrarError(`${this.name} returned invalid JSON`, {
+                code: 'INVALID_RESPONSE',
+                status: response.status,
+                registrar: this.name
+            });
+        }
+
+        if (response.status >= 400) {
+            throw new RegistrarError((data && (data.message || data.error)) || `${this.name} responded with HTTP ${response.status}`, {
+                code: (data && data.code) || 'HTTP_ERROR',
+                status: response.status,
+                registrar: this.name
+            });
+        }
+
+        return data;
+    }
+}
+
+module.exports = { BaseRegistrar, RegistrarError };
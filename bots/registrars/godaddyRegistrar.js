@@ -0,0 +1,123 @@
+/**
+ * GoDaddy Registrar - Adapter for the GoDaddy Domains REST API
+ * Prices come back in micro-units (1/1,000,000 of the currency)
+ */
+
+const { BaseRegistrar, RegistrarError } = require('./baseRegistrar');
+
+const MICRO_UNITS = 1000000;
+
+class GoDaddyRegistrar extends BaseRegistrar {
+    constructor(config = {}) {
+        super('GoDaddy', { baseUrl: 'https://api.godaddy.com', ...config });
+        this.apiKey = config.apiKey;
+        this.apiSecret = config.apiSecret;
+        this.contact = config.contact || null;
+        this.clientIp = config.clientIp || '127.0.0.1';
+
+        if (!this.apiKey || !this.apiSecret) {
+            throw new RegistrarError('GoDaddy adapter requires GODADDY_API_KEY and GODADDY_API_SECRET', {
+                code: 'MISSING_CREDENTIALS',
+                registrar: this.name
+            });
+        }
+    }
+
+    get headers() {
+        return { Authorization: `sso-key ${this.apiKey}:${this.apiSecret}` };
+    }
+
+    async lookup(domain) {
+        return this.requestJson('GET', '/v1/domains/available', {
+            headers: this.headers,
+            query: { domain, checkType: 'FULL', forTransfer: false }
+        });
+    }
+
+    async checkAvailability(domain) {
+        const data = await this.lookup(domain);
+        return { domain, available: !!data.available, premium: data.definitive === false };
+    }
+
+    async quotePrice(domain) {
+        const data = await this.lookup(domain);
+        if (data.price === undefined) {
+            throw new RegistrarError(`GoDaddy returned no price for ${domain}`, {
+                code: 'NO_PRICE',
+                registrar: this.name
+            });
+        }
+        return {
+            domain,
+            price: data.price / MICRO_UNITS,
+            currency: data.currency || this.currency,
+            premium: data.definitive === false
+        };
+    }
+
+    async register(domain, options = {}) {
+        if (!this.contact) {
+            throw new RegistrarError('GoDaddy purchases require REGISTRANT_CONTACT to be configured', {
+                code: 'MISSING_CONTACT',
+                registrar: this.name
+            });
+        }
+
+        await this.ensurePriceWithin(domain, options.maxPrice);
+
+        const tld = domain.split('.').slice(1).join('.');
+        const agreements = await this.requestJson('GET', '/v1/domains/agreements', {
+            headers: this.headers,
+            query: { tlds: tld, privacy: false }
+        });
+
+        const contact = {
+            nameFirst: this.contact.firstName,
+            nameLast: this.contact.lastName,
+            email: this.contact.email,
+            phone: this.contact.phone,
+            organization: this.contact.organization || '',
+            addressMailing: {
+                address1: this.contact.address1,
+                city: this.contact.city,
+                state: this.contact.state,
+                postalCode: this.contact.postalCode,
+                country: this.contact.country
+            }
+        };
+
+        const data = await this.requestJson('POST', '/v1/domains/purchase', {
+            headers: this.headers,
+            body: {
+                domain,
+                period: options.years || 1,
+                privacy: false,
+                renewAuto: false,
+                consent: {
+                    agreedAt: new Date().toISOString(),
+                    agreedBy: this.clientIp,
+                    agreementKeys: (agreements || []).map(a => a.agreementKey)
+                },
+                contactAdmin: contact,
+                contactBilling: contact,
+                contactRegistrant: contact,
+                contactTech: contact
+            }
+        });
+
+        return {
+            domain,
+            success: true,
+            orderId: data.orderId ? String(data.orderId) : null,
+            price: data.total !== undefined ? data.total / MICRO_UNITS : null,
+            currency: data.currency || this.currency
+        };
+    }
+
+    async getBalance() {
+        // GoDaddy has no public account balance endpoint; purchases bill the payment profile
+        return { available: null, currency: this.currency };
+    }
+}
+
+module.exports = GoDaddyRegistrar;
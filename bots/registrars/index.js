@@ -0,0 +1,83 @@
+/**
+ * Registrar adapters - Picks the registrar implementation from configuration
+ * REGISTRAR_PROVIDER selects mock (default), godaddy or namecheap
+ */
+
+const { BaseRegistrar, RegistrarError } = require('./baseRegistrar');
+const MockRegistrar = require('./mockRegistrar');
+const GoDaddyRegistrar = require('./godaddyRegistrar');
+const NamecheapRegistrar = require('./namecheapRegistrar');
+const { startMockRegistrarServer } = require('./mockServer');
+const { RateLimiter, rateLimitConfigFromEnv } = require('./rateLimiter');
+const logger = require('../../logging').logger.child({ component: 'registrar' });
+
+const PROVIDERS = {
+    mock: MockRegistrar,
+    godaddy: GoDaddyRegistrar,
+    namecheap: NamecheapRegistrar
+};
+
+function parseContact(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn('REGISTRANT_CONTACT is not valid JSON, purchases will be rejected');
+        return null;
+    }
+}
+
+function registrarConfigFromEnv(env = process.env) {
+    const contact = parseContact(env.REGISTRANT_CONTACT);
+    const timeout = parseInt(env.REGISTRAR_TIMEOUT_MS) || 10000;
+
+    return {
+        provider: (env.REGISTRAR_PROVIDER || 'mock').toLowerCase(),
+        mock: {
+            baseUrl: env.MOCK_REGISTRAR_URL || null,
+            apiKey: env.MOCK_REGISTRAR_API_KEY || null,
+            timeout
+        },
+        godaddy: {
+            baseUrl: env.GODADDY_API_URL || 'https://api.godaddy.com',
+            apiKey: env.GODADDY_API_KEY,
+            apiSecret: env.GODADDY_API_SECRET,
+            clientIp: env.REGISTRAR_CLIENT_IP,
+            contact,
+            timeout
+        },
+        namecheap: {
+            baseUrl: env.NAMECHEAP_API_URL || 'https://api.namecheap.com',
+            apiKey: env.NAMECHEAP_API_KEY,
+            apiUser: env.NAMECHEAP_API_USER,
+            userName: env.NAMECHEAP_USERNAME,
+            clientIp: env.REGISTRAR_CLIENT_IP,
+            contact,
+            timeout
+        }
+    };
+}
+
+function createRegistrar(provider, options = {}) {
+    const Registrar = PROVIDERS[provider];
+    if (!Registrar) {
+        throw new RegistrarError(`Unknown registrar provider: ${provider}. Use ${Object.keys(PROVIDERS).join(', ')}`, {
+            code: 'UNKNOWN_PROVIDER'
+        });
+    }
+    return new Registrar(options);
+}
+
+module.exports = {
+    BaseRegistrar,
+    RegistrarError,
+    MockRegistrar,
+    GoDaddyRegistrar,
+    NamecheapRegistrar,
+    PROVIDERS,
+    createRegistrar,
+    registrarConfigFromEnv,
+    startMockRegistrarServer,
+    RateLimiter,
+    rateLimitConfigFromEnv
+};
@@ -0,0 +1,41 @@
+/**
+ * Mock Registrar - Adapter for the bundled local mock registrar server
+ */
+
+const { BaseRegistrar } = require('./baseRegistrar');
+
+class MockRegistrar extends BaseRegistrar {
+    constructor(config = {}) {
+        super('Mock', config);
+        this.apiKey = config.apiKey || null;
+    }
+
+    get headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    async checkAvailability(domain) {
+        const data = await this.requestJson('GET', `/v1/domains/${encodeURIComponent(domain)}/availability`, { headers: this.headers });
+        return { domain, available: data.available, premium: !!data.premium };
+    }
+
+    async quotePrice(domain) {
+        const data = await this.requestJson('GET', `/v1/domains/${encodeURIComponent(domain)}/price`, { headers: this.headers });
+        return { domain, price: data.price, currency: data.currency || this.currency, premium: !!data.premium };
+    }
+
+    async register(domain, options = {}) {
+        const data = await this.requestJson('POST', `/v1/domains/${encodeURIComponent(domain)}/register`, {
+            headers: this.headers,
+            body: { years: options.years || 1, maxPrice: options.maxPrice }
+        });
+        return { domain, success: !!data.success, orderId: data.orderId, price: data.price, currency: data.currency || this.currency };
+    }
+
+    async getBalance() {
+        const data = await this.requestJson('GET', '/v1/account/balance', { headers: this.headers });
+        return { available: data.available, currency: data.currency || this.currency };
+    }
+}
+
+module.exports = MockRegistrar;
@@ -0,0 +1,168 @@
+/**
+ * Mock Registrar Server - Local HTTP registrar for exercising acquisitions offline
+ * Run standalone with `npm run mock:registrar` or embed via startMockRegistrarServer()
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const TLD_PRICES = {
+    com: 12.99,
+    net: 14.99,
+    org: 13.99,
+    io: 39.99,
+    ai: 79.99,
+    tech: 49.99
+};
+
+function hashDomain(domain) {
+    return crypto.createHash('sha1').update(domain).digest().readUInt32BE(0);
+}
+
+function createMockRegistrarState(options = {}) {
+    return {
+        balance: options.balance !== undefined ? options.balance : 10000,
+        currency: 'USD',
+        takenRatio: options.takenRatio !== undefined ? options.takenRatio : 0.3,
+        failureRate: options.failureRate || 0,
+        // Injectable so a seeded simulation sees the same failures on every run
+        random: options.random || Math.random,
+        clock: options.clock || { now: () => Date.now() },
+        registered: new Map(),
+        orders: 0
+    };
+}
+
+function isTaken(state, domain) {
+    if (state.registered.has(domain)) return true;
+    return (hashDomain(domain) % 1000) / 1000 < state.takenRatio;
+}
+
+function priceFor(domain) {
+    const [label, ...rest] = domain.split('.');
+    const tld = rest.join('.');
+    const base = TLD_PRICES[tld] || 19.99;
+    // Short labels are treated as premium inventory
+    const premium = label.length <= 5;
+    return {
+        price: premium ? Math.round(base * 100 * 100) / 100 : base,
+        premium
+    };
+}
+
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function createMockRegistrarServer(options = {}) {
+    const state = createMockRegistrarState(options);
+    const apiKey = options.apiKey || null;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+            return sendJson(res, 401, { code: 'UNAUTHORIZED', message: 'Invalid API key' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/v1/account/balance') {
+            return sendJson(res, 200, { available: state.balance, currency: state.currency });
+        }
+
+        if (parts[0] !== 'v1' || parts[1] !== 'domains' || !parts[2]) {
+            return sendJson(res, 404, { code: 'NOT_FOUND', message: 'Unknown endpoint' });
+        }
+
+        const domain = decodeURIComponent(parts[2]).toLowerCase();
+        const action = parts[3];
+
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+            return sendJson(res, 422, { code: 'INVALID_DOMAIN', message: `Invalid domain: ${domain}` });
+        }
+
+        const { price, premium } = priceFor(domain);
+
+        if (req.method === 'GET' && action === 'availability') {
+            return sendJson(res, 200, { domain, available: !isTaken(state, domain), premium });
+        }
+
+        if (req.method === 'GET' && action === 'price') {
+            return sendJson(res, 200, { domain, price, currency: state.currency, premium });
+        }
+
+        if (req.method === 'POST' && action === 'register') {
+            const body = await readBody(req);
+
+            if (isTaken(state, domain)) {
+                return sendJson(res, 409, { code: 'UNAVAILABLE', message: `${domain} is not available` });
+            }
+            if (body.maxPrice !== undefined && price > body.maxPrice) {
+                return sendJson(res, 409, { code: 'PRICE_CHANGED', message: `${domain} costs ${price}, above ${body.maxPrice}` });
+            }
+            if (price > state.balance) {
+                return sendJson(res, 402, { code: 'INSUFFICIENT_FUNDS', message: 'Account balance too low' });
+            }
+            if (state.failureRate > 0 && state.random() < state.failureRate) {
+                return sendJson(res, 503, { code: 'REGISTRY_UNAVAILABLE', message: 'Registry temporarily unavailable' });
+            }
+
+            state.balance = Math.round((state.balance - price) * 100) / 100;
+            state.orders++;
+            const orderId = `mock-${state.orders}`;
+            state.registered.set(domain, { orderId, price, registeredAt: new Date(state.clock.now()).toISOString(), years: body.years || 1 });
+
+            return sendJson(res, 201, { domain, success: true, orderId, price, currency: state.currency });
+        }
+
+        sendJson(res, 404, { code: 'NOT_FOUND', message: 'Unknown endpoint' });
+    });
+
+    server.state = state;
+    return server;
+}
+
+function startMockRegistrarServer(options = {}) {
+    const server = createMockRegistrarServer(options);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+            const { address, port } = server.address();
+            server.url = `http://${address}:${port}`;
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    startMockRegistrarServer({
+        port: parseInt(process.env.MOCK_REGISTRAR_PORT) || 4010,
+        balance: parseFloat(process.env.MOCK_REGISTRAR_BALANCE) || 10000
+    }).then(server => {
+        console.log(`Mock registrar listening at ${server.url}`);
+    }).catch(error => {
+        console.error('Failed to start mock registrar:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createMockRegistrarServer, startMockRegistrarServer };
@@ -0,0 +1,163 @@
+/**
+ * Namecheap Registrar - Adapter for the Namecheap XML API
+ */
+
+const { BaseRegistrar, RegistrarError } = require('./baseRegistrar');
+
+function parseAttributes(xml, tag) {
+    const results = [];
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)\\/?>`, 'g');
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        const attributes = {};
+        const attrPattern = /(\w+)="([^"]*)"/g;
+        let attr;
+        while ((attr = attrPattern.exec(match[1])) !== null) {
+            attributes[attr[1]] = attr[2];
+        }
+        results.push(attributes);
+    }
+
+    return results;
+}
+
+class NamecheapRegistrar extends BaseRegistrar {
+    constructor(config = {}) {
+        super('Namecheap', { baseUrl: 'https://api.namecheap.com', ...config });
+        this.apiKey = config.apiKey;
+        this.apiUser = config.apiUser;
+        this.userName = config.userName || config.apiUser;
+        this.clientIp = config.clientIp || '127.0.0.1';
+        this.contact = config.contact || null;
+
+        if (!this.apiKey || !this.apiUser) {
+            throw new RegistrarError('Namecheap adapter requires NAMECHEAP_API_KEY and NAMECHEAP_API_USER', {
+                code: 'MISSING_CREDENTIALS',
+                registrar: this.name
+            });
+        }
+    }
+
+    async command(command, params = {}) {
+        const response = await this.request('GET', '/xml.response', {
+            headers: { Accept: 'application/xml' },
+            query: {
+                ApiUser: this.apiUser,
+                ApiKey: this.apiKey,
+                UserName: this.userName,
+                ClientIp: this.clientIp,
+                Command: command,
+                ...params
+            }
+        });
+
+        const [apiResponse] = parseAttributes(response.body, 'ApiResponse');
+        if (response.status >= 400 || !apiResponse || apiResponse.Status !== 'OK') {
+            const errorMatch = response.body.match(/<Error\b[^>]*>([^<]*)<\/Error>/);
+            throw new RegistrarError(errorMatch ? errorMatch[1] : `Namecheap ${command} failed`, {
+                code: 'API_ERROR',
+                status: response.status,
+                registrar: this.name
+            });
+        }
+
+        return response.body;
+    }
+
+    async checkAvailability(domain) {
+        const xml = await this.command('namecheap.domains.check', { DomainList: domain });
+        const [result] = parseAttributes(xml, 'DomainCheckResult');
+        if (!result) {
+            throw new RegistrarError(`Namecheap returned no check result for ${domain}`, {
+                code: 'INVALID_RESPONSE',
+                registrar: this.name
+            });
+        }
+        return { domain, available: result.Available === 'true', premium: result.IsPremiumName === 'true' };
+    }
+
+    async quotePrice(domain) {
+        const xml = await this.command('namecheap.domains.check', { DomainList: domain });
+        const [result] = parseAttributes(xml, 'DomainCheckResult');
+
+        if (result && result.IsPremiumName === 'true') {
+            return { domain, price: parseFloat(result.PremiumRegistrationPrice), currency: this.currency, premium: true };
+        }
+
+        const tld = domain.split('.').slice(1).join('.');
+        const pricingXml = await this.command('namecheap.users.getPricing', {
+            ProductType: 'DOMAIN',
+            ProductCategory: 'REGISTER',
+            ProductName: tld
+        });
+        const price = parseAttributes(pricingXml, 'Price').find(p => p.Duration === '1');
+        if (!price) {
+            throw new RegistrarError(`Namecheap returned no price for .${tld}`, {
+                code: 'NO_PRICE',
+                registrar: this.name
+            });
+        }
+
+        return {
+            domain,
+            price: parseFloat(price.YourPrice || price.Price),
+            currency: price.Currency || this.currency,
+            premium: false
+        };
+    }
+
+    async register(domain, options = {}) {
+        if (!this.contact) {
+            throw new RegistrarError('Namecheap purchases require REGISTRANT_CONTACT to be configured', {
+                code: 'MISSING_CONTACT',
+                registrar: this.name
+            });
+        }
+
+        const quote = await this.ensurePriceWithin(domain, options.maxPrice);
+
+        const contactParams = {};
+        ['Registrant', 'Tech', 'Admin', 'AuxBilling'].forEach(role => {
+            Object.assign(contactParams, {
+                [`${role}FirstName`]: this.contact.firstName,
+                [`${role}LastName`]: this.contact.lastName,
+                [`${role}Address1`]: this.contact.address1,
+                [`${role}City`]: this.contact.city,
+                [`${role}StateProvince`]: this.contact.state,
+                [`${role}PostalCode`]: this.contact.postalCode,
+                [`${role}Country`]: this.contact.country,
+                [`${role}Phone`]: this.contact.phone,
+                [`${role}EmailAddress`]: this.contact.email
+            });
+        });
+
+        const xml = await this.command('namecheap.domains.create', {
+            DomainName: domain,
+            Years: options.years || 1,
+            // Premium names are bought at the quoted price; Namecheap refuses the order if it no longer matches
+            ...(quote && quote.premium ? { IsPremiumDomain: true, PremiumPrice: quote.price } : {}),
+            ...contactParams
+        });
+        const [result] = parseAttributes(xml, 'DomainCreateResult');
+
+        return {
+            domain,
+            success: !!result && result.Registered === 'true',
+            orderId: result ? result.OrderID : null,
+            price: result ? parseFloat(result.ChargedAmount) : null,
+            currency: this.currency
+        };
+    }
+
+    async getBalance() {
+        const xml = await this.command('namecheap.users.getBalances');
+        const [result] = parseAttributes(xml, 'UserGetBalancesResult');
+        return {
+            available: result ? parseFloat(result.AvailableBalance) : null,
+            currency: (result && result.Currency) || this.currency
+        };
+    }
+}
+
+module.exports = NamecheapRegistrar;
@@ -0,0 +1,159 @@
+/**
+ * Rate Limiter - Shared token buckets keyed by provider and operation (lookup vs purchase)
+ * Calls over the limit wait in a FIFO queue for the next token instead of failing
+ */
+
+const logger = require('../../logging').logger.child({ component: 'rateLimiter' });
+
+// perMinute is the sustained rate, burst the bucket size; defaults follow each provider's documented limits
+const DEFAULT_LIMITS = {
+    mock: { lookup: { perMinute: 600, burst: 20 }, purchase: { perMinute: 60, burst: 5 } },
+    godaddy: { lookup: { perMinute: 60, burst: 10 }, purchase: { perMinute: 10, burst: 2 } },
+    namecheap: { lookup: { perMinute: 20, burst: 5 }, purchase: { perMinute: 5, burst: 1 } },
+    rdap: { lookup: { perMinute: 120, burst: 10 } },
+    whois: { lookup: { perMinute: 30, burst: 5 } }
+};
+
+// Registrar methods and the bucket they draw from
+const REGISTRAR_OPERATIONS = {
+    checkAvailability: 'lookup',
+    quotePrice: 'lookup',
+    getBalance: 'lookup',
+    register: 'purchase'
+};
+
+class TokenBucket {
+    constructor({ perMinute, burst }, clock) {
+        this.perMinute = perMinute;
+        this.capacity = Math.max(1, burst || 1);
+        this.refillPerMs = perMinute / 60000;
+        this.tokens = this.capacity;
+        this.clock = clock;
+        this.lastRefill = clock.now();
+        this.queue = [];
+        this.timer = null;
+        this.stats = { granted: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 };
+    }
+
+    refill() {
+        const now = this.clock.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    take() {
+        return new Promise(resolve => {
+            this.queue.push({ resolve, queuedAt: this.clock.now() });
+            this.drain();
+        });
+    }
+
+    drain() {
+        this.refill();
+
+        while (this.queue.length > 0 && this.tokens >= 1) {
+            const waiter = this.queue.shift();
+            const waited = this.clock.now() - waiter.queuedAt;
+            this.tokens -= 1;
+            this.stats.granted++;
+            if (waited > 0) {
+                this.stats.throttled++;
+                this.stats.totalWaitMs += waited;
+                this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+            }
+            waiter.resolve();
+        }
+
+        if (this.queue.length > 0 && !this.timer) {
+            const delay = Math.ceil((1 - this.tokens) / this.refillPerMs);
+            this.timer = this.clock.setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, delay);
+        }
+    }
+
+    getStatus() {
+        this.refill();
+        return {
+            perMinute: this.perMinute,
+            burst: this.capacity,
+            tokens: Math.floor(this.tokens * 100) / 100,
+            queued: this.queue.length,
+            ...this.stats
+        };
+    }
+}
+
+class RateLimiter {
+    constructor(config = {}) {
+        this.limits = config.limits || DEFAULT_LIMITS;
+        this.clock = config.clock || { now: () => Date.now(), setTimeout: (fn, ms) => setTimeout(fn, ms) };
+        this.buckets = new Map();
+    }
+
+    bucket(provider, operation) {
+        const key = `${provider}:${operation}`;
+        if (!this.buckets.has(key)) {
+            const providerLimits = this.limits[provider] || {};
+            const limit = providerLimits[operation];
+            // Providers or operations without a configured limit are not throttled
+            this.buckets.set(key, limit && limit.perMinute > 0 ? new TokenBucket(limit, this.clock) : null);
+        }
+        return this.buckets.get(key);
+    }
+
+    async schedule(provider, operation, fn) {
+        const bucket = this.bucket(provider, operation);
+        if (bucket) {
+            await bucket.take();
+        }
+        return fn();
+    }
+
+    // Routes a registrar's API methods through the provider's lookup and purchase buckets
+    wrapRegistrar(registrar, provider) {
+        Object.entries(REGISTRAR_OPERATIONS).forEach(([method, operation]) => {
+            const original = registrar[method].bind(registrar);
+            registrar[method] = (...args) => this.schedule(provider, operation, () => original(...args));
+        });
+        return registrar;
+    }
+
+    getStatus() {
+        const status = {};
+        this.buckets.forEach((bucket, key) => {
+            if (!bucket) return;
+            const [provider, operation] = key.split(':');
+            status[provider] = status[provider] || {};
+            status[provider][operation] = bucket.getStatus();
+        });
+        return status;
+    }
+}
+
+function mergeLimits(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides || {}).forEach(([provider, operations]) => {
+        merged[provider] = { ...(merged[provider] || {}) };
+        Object.entries(operations || {}).forEach(([operation, limit]) => {
+            merged[provider][operation] = { ...(merged[provider][operation] || {}), ...limit };
+        });
+    });
+    return merged;
+}
+
+// RATE_LIMITS='{"godaddy":{"lookup":{"perMinute":30,"burst":5}}}' overrides individual buckets
+function rateLimitConfigFromEnv(env = process.env) {
+    let overrides = {};
+    if (env.RATE_LIMITS) {
+        try {
+            overrides = JSON.parse(env.RATE_LIMITS);
+        } catch (error) {
+            logger.warn('RATE_LIMITS is not valid JSON, using the default limits');
+        }
+    }
+    return { limits: mergeLimits(DEFAULT_LIMITS, overrides) };
+}
+
+module.exports = { RateLimiter, TokenBucket, DEFAULT_LIMITS, REGISTRAR_OPERATIONS, rateLimitConfigFromEnv };
@@ -0,0 +1,192 @@
+/**
+ * Retention Manager - Keeps the periodic bot-data-*.json and domains-*.csv exports from filling the data directory
+ * Exports younger than maxAge are all kept; older ones are rolled up to the last export of each day, those daily
+ * snapshots are kept for dailyRetention, and the count and size caps then remove the oldest exports first
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const logger = require('../logging').logger.child({ component: 'retention' });
+
+const DAY = 86400000;
+// Names come from exportAllData: the ISO timestamp with ':' and '.' replaced by '-'
+const EXPORT_FILE = /^(bot-data|domains)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.(json|csv)(\.gz)?$/;
+
+// Unlike most settings, 0 means something for the caps: it turns them off
+function capFromEnv(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function retentionConfigFromEnv(env = process.env) {
+    return {
+        dailyRetention: (parseFloat(env.RETENTION_DAILY_DAYS) || 30) * DAY,
+        maxExports: Math.floor(capFromEnv(env.RETENTION_MAX_EXPORTS, 500)),
+        maxTotalBytes: Math.round(capFromEnv(env.RETENTION_MAX_SIZE_MB, 1024) * 1024 * 1024),
+        compress: env.RETENTION_COMPRESS === 'true'
+    };
+}
+
+async function directoryUsage(dir) {
+    const usage = { bytes: 0, files: 0 };
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return usage;
+        throw error;
+    }
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const nested = await directoryUsage(entryPath);
+            usage.bytes += nested.bytes;
+            usage.files += nested.files;
+        } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(entryPath).catch(() => null);
+            if (stats) {
+                usage.bytes += stats.size;
+                usage.files++;
+            }
+        }
+    }
+    return usage;
+}
+
+class RetentionManager {
+    // maxAge and the caps are in ms and bytes; a cap of 0 turns it off
+    constructor(config = {}) {
+        this.dataDir = config.dataDir || './data';
+        this.clock = config.clock || { now: () => Date.now() };
+        this.maxAge = config.maxAge || DAY;
+        this.dailyRetention = config.dailyRetention !== undefined ? config.dailyRetention : 30 * DAY;
+        this.maxExports = config.maxExports || 0;
+        this.maxTotalBytes = config.maxTotalBytes || 0;
+        this.compress = Boolean(config.compress);
+        this.lastSweep = null;
+    }
+
+    // Exports grouped by timestamp (the JSON and CSV written together), oldest first
+    async listExports() {
+        const files = await fs.promises.readdir(this.dataDir).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        const sets = new Map();
+        for (const name of files) {
+            const match = EXPORT_FILE.exec(name);
+            if (!match) continue;
+            const stats = await fs.promises.stat(path.join(this.dataDir, name)).catch(() => null);
+            if (!stats) continue;
+
+            const [, , day, hours, minutes, seconds, millis] = match;
+            const time = Date.parse(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+            if (!sets.has(time)) {
+                sets.set(time, { time, day, bytes: 0, files: [] });
+            }
+            const set = sets.get(time);
+            set.files.push({ name, bytes: stats.size, compressed: Boolean(match[8]) });
+            set.bytes += stats.size;
+        }
+        return Array.from(sets.values()).sort((a, b) => a.time - b.time);
+    }
+
+    async sweep() {
+        const now = this.clock.now();
+        const result = { deleted: 0, compressed: 0, freedBytes: 0 };
+
+        try {
+            const sets = await this.listExports();
+            const lastOfDay = new Map();
+            sets.forEach(set => lastOfDay.set(set.day, set));
+
+            const kept = [];
+            for (const set of sets) {
+                const age = now - set.time;
+                if (age <= this.maxAge) {
+                    kept.push(set);
+                } else if (lastOfDay.get(set.day) === set && age <= this.dailyRetention) {
+                    if (this.compress) await this.compressSet(set, result);
+                    kept.push(set);
+                } else {
+                    await this.removeSet(set, result);
+                }
+            }
+
+            // The newest export is never removed by the caps, so there is always one to restore from
+            let totalBytes = kept.reduce((total, set) => total + set.bytes, 0);
+            while (kept.length > 1 && ((this.maxExports && kept.length > this.maxExports) || (this.maxTotalBytes && totalBytes > this.maxTotalBytes))) {
+                const set = kept.shift();
+                totalBytes -= set.bytes;
+                await this.removeSet(set, result);
+            }
+        } catch (error) {
+            logger.error('Export retention sweep failed', { error });
+        }
+
+        if (result.deleted > 0 || result.compressed > 0) {
+            logger.info(`Retention removed ${result.deleted} and compressed ${result.compressed} export files, freeing ${Math.round(result.freedBytes / 1024)} KB`);
+        }
+        this.lastSweep = { at: new Date(now).toISOString(), ...result };
+        return result;
+    }
+
+    async removeSet(set, result) {
+        for (const file of set.files) {
+            try {
+                await fs.promises.unlink(path.join(this.dataDir, file.name));
+                result.deleted++;
+                result.freedBytes += file.bytes;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+
+    // Writes name.gz beside the original and only then removes it, so an interrupted sweep loses nothing
+    async compressSet(set, result) {
+        for (const file of set.files.filter(candidate => !candidate.compressed)) {
+            const source = path.join(this.dataDir, file.name);
+            const target = `${source}.gz`;
+            await pipeline(fs.createReadStream(source), zlib.createGzip(), fs.createWriteStream(`${target}.tmp`));
+            await fs.promises.rename(`${target}.tmp`, target);
+            await fs.promises.unlink(source);
+
+            const { size } = await fs.promises.stat(target);
+            result.compressed++;
+            result.freedBytes += file.bytes - size;
+            set.bytes += size - file.bytes;
+            Object.assign(file, { name: `${file.name}.gz`, bytes: size, compressed: true });
+        }
+    }
+
+    async getUsage() {
+        const [dataDir, sets] = await Promise.all([directoryUsage(this.dataDir), this.listExports()]);
+        const now = this.clock.now();
+        const files = sets.reduce((all, set) => all.concat(set.files), []);
+        return {
+            dataDir: { path: path.resolve(this.dataDir), ...dataDir },
+            exports: {
+                count: sets.length,
+                dailySnapshots: sets.filter(set => now - set.time > this.maxAge).length,
+                files: files.length,
+                compressedFiles: files.filter(file => file.compressed).length,
+                bytes: files.reduce((total, file) => total + file.bytes, 0),
+                oldest: sets.length > 0 ? new Date(sets[0].time).toISOString() : null,
+                newest: sets.length > 0 ? new Date(sets[sets.length - 1].time).toISOString() : null
+            },
+            policy: {
+                maxAge: this.maxAge,
+                dailyRetention: this.dailyRetention,
+                maxExports: this.maxExports,
+                maxTotalBytes: this.maxTotalBytes,
+                compress: this.compress
+            },
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+module.exports = { RetentionManager, retentionConfigFromEnv };
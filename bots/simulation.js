@@ -0,0 +1,158 @@
+/**
+ * Simulation - Injectable random source and clock/scheduler for reproducible bot runs
+ * SIMULATION_SEED switches every bot to a seeded generator; VirtualClock lets tests fast-forward time
+ */
+
+const crypto = require('crypto');
+const { requestContext } = require('../logging');
+
+// FNV-1a, used to turn a seed plus a label (e.g. a bot key) into an independent 32-bit stream seed
+function deriveSeed(seed, label = '') {
+    let hash = 0x811c9dc5;
+    const input = `${seed}:${label}`;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for name generation; returns floats in [0, 1) like Math.random
+function createRandom(seed) {
+    let state = deriveSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// UUID-shaped ids; drawn from a seeded random source, they come out the same on every run of the same seed
+function createIdSource(random = null) {
+    if (!random) return () => crypto.randomUUID();
+    return function newId() {
+        const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16));
+        hex[12] = 4;
+        hex[16] = 8 + (hex[16] & 3);
+        const digits = hex.map(digit => digit.toString(16)).join('');
+        return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+    };
+}
+
+class SystemClock {
+    now() {
+        return Date.now();
+    }
+
+    date() {
+        return new Date();
+    }
+
+    // Timers outlive whatever scheduled them; running them outside the request context keeps a bot's
+    // later log lines from carrying the requestId of the HTTP call that happened to start it
+    setTimeout(fn, delay) {
+        return requestContext.exit(() => setTimeout(fn, delay));
+    }
+
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+
+    setInterval(fn, delay) {
+        return requestContext.exit(() => setInterval(fn, delay));
+    }
+
+    clearInterval(handle) {
+        clearInterval(handle);
+    }
+}
+
+class VirtualClock {
+    constructor(startTime = 0) {
+        this.current = typeof startTime === 'number' ? startTime : new Date(startTime).getTime();
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    date() {
+        return new Date(this.current);
+    }
+
+    schedule(fn, delay, interval) {
+        const timer = {
+            id: this.nextId++,
+            at: this.current + Math.max(0, delay || 0),
+            fn,
+            interval,
+            unref() { return this; }
+        };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    setTimeout(fn, delay) {
+        return this.schedule(fn, delay, null);
+    }
+
+    setInterval(fn, delay) {
+        return this.schedule(fn, delay, Math.max(1, delay || 0));
+    }
+
+    clearTimeout(handle) {
+        if (!handle) return;
+        this.timers = this.timers.filter(timer => timer.id !== handle.id);
+    }
+
+    clearInterval(handle) {
+        this.clearTimeout(handle);
+    }
+
+    pending() {
+        return this.timers.length;
+    }
+
+    // Lets promise chains started by a timer settle before the next timer fires
+    async flush() {
+        for (let i = 0; i < 10; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    // Fires every timer due within the window in time order, then moves the clock to the end of it
+    async advance(ms) {
+        const target = this.current + ms;
+
+        for (;;) {
+            await this.flush();
+            const due = this.timers
+                .filter(timer => timer.at <= target)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.current = due.at;
+            if (due.interval) {
+                due.at += due.interval;
+            } else {
+                this.timers = this.timers.filter(timer => timer !== due);
+            }
+            due.fn();
+        }
+
+        this.current = target;
+        await this.flush();
+    }
+}
+
+function simulationConfigFromEnv() {
+    return {
+        seed: process.env.SIMULATION_SEED || null
+    };
+}
+
+module.exports = { createRandom, createIdSource, deriveSeed, SystemClock, VirtualClock, simulationConfigFromEnv };
@@ -0,0 +1,185 @@
+/**
+ * Stats History - Per-bot scans, discoveries, acquisitions and errors in minute/hour/day buckets
+ * Every count lands in all three resolutions; each resolution is pruned to its own retention (data/stats-history.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'statsHistory' });
+
+const STEPS = {
+    minute: 60000,
+    hour: 3600000,
+    day: 86400000
+};
+const FIELDS = ['scanned', 'discovered', 'attempts', 'acquired', 'errors'];
+const MAX_POINTS = 1500;
+
+function statsHistoryConfigFromEnv(env = process.env) {
+    return {
+        sampleInterval: parseInt(env.STATS_SAMPLE_INTERVAL_MS) || 60000,
+        retention: {
+            minute: (parseFloat(env.STATS_MINUTE_RETENTION_HOURS) || 24) * STEPS.hour,
+            hour: (parseFloat(env.STATS_HOUR_RETENTION_DAYS) || 30) * STEPS.day,
+            day: (parseFloat(env.STATS_DAY_RETENTION_DAYS) || 365) * STEPS.day
+        }
+    };
+}
+
+function emptyCounts() {
+    return FIELDS.reduce((counts, field) => {
+        counts[field] = 0;
+        return counts;
+    }, {});
+}
+
+function bucketStart(time, step) {
+    return Math.floor(time / STEPS[step]) * STEPS[step];
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_HISTORY_QUERY';
+    return error;
+}
+
+class StatsHistory {
+    constructor(config = {}) {
+        this.filePath = path.join(config.dataDir || './data', 'stats-history.json');
+        this.clock = config.clock || { now: () => Date.now() };
+        this.sampleInterval = config.sampleInterval || 60000;
+        this.retention = { ...statsHistoryConfigFromEnv({}).retention, ...config.retention };
+        // step -> bucket start (ms) -> bot key -> counts
+        this.buckets = { minute: new Map(), hour: new Map(), day: new Map() };
+        this.lastScanned = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            Object.keys(STEPS).forEach(step => {
+                (data.buckets && data.buckets[step] || []).forEach(([time, bots]) => {
+                    this.buckets[step].set(time, bots);
+                });
+            });
+            this.prune();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read stats history', { error });
+            }
+        }
+    }
+
+    save() {
+        const buckets = {};
+        Object.keys(STEPS).forEach(step => {
+            buckets[step] = Array.from(this.buckets[step].entries());
+        });
+        const data = JSON.stringify({ buckets });
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to persist stats history', { error });
+            });
+        return this.writeQueue;
+    }
+
+    record(bot, field, amount = 1, time = this.clock.now()) {
+        if (!FIELDS.includes(field) || !amount) return;
+
+        Object.keys(STEPS).forEach(step => {
+            const start = bucketStart(time, step);
+            if (!this.buckets[step].has(start)) {
+                this.buckets[step].set(start, {});
+            }
+            const bots = this.buckets[step].get(start);
+            bots[bot] = bots[bot] || emptyCounts();
+            bots[bot][field] += amount;
+        });
+    }
+
+    // Scans have no event of their own, so they are taken from each bot's running counter. The counter
+    // starts over when a bot worker restarts; a drop means everything on it is new
+    sample(bots) {
+        bots.forEach(bot => {
+            const scanned = bot.stats.domainsScanned || 0;
+            const last = this.lastScanned.has(bot.key) ? this.lastScanned.get(bot.key) : 0;
+            this.record(bot.key, 'scanned', scanned >= last ? scanned - last : scanned);
+            this.lastScanned.set(bot.key, scanned);
+        });
+        this.prune();
+        return this.save();
+    }
+
+    prune(now = this.clock.now()) {
+        Object.keys(STEPS).forEach(step => {
+            const cutoff = bucketStart(now - this.retention[step], step);
+            this.buckets[step].forEach((bots, time) => {
+                if (time < cutoff) this.buckets[step].delete(time);
+            });
+        });
+    }
+
+    // The finest resolution that still covers `from` without returning more than MAX_POINTS buckets
+    pickStep(from, to, now) {
+        const step = Object.keys(STEPS).find(candidate =>
+            now - this.retention[candidate] <= from && (to - from) / STEPS[candidate] <= MAX_POINTS
+        );
+        return step || 'day';
+    }
+
+    query({ bot = null, bots = [], from = null, to = null, step = null } = {}) {
+        const now = this.clock.now();
+        const toTime = to !== null ? to : now;
+        let fromTime = from !== null ? from : toTime - STEPS.day;
+        // Without an explicit step, a range reaching past everything retained starts where the day buckets do
+        if (!step) {
+            fromTime = Math.max(fromTime, bucketStart(now - this.retention.day, 'day'));
+        }
+        if (fromTime >= toTime) {
+            throw invalid('from must be earlier than to');
+        }
+        if (step && !Object.hasOwn(STEPS, step)) {
+            throw invalid(`Invalid step. Use one of: ${Object.keys(STEPS).join(', ')}`);
+        }
+
+        const resolution = step || this.pickStep(fromTime, toTime, now);
+        const first = bucketStart(fromTime, resolution);
+        const count = Math.floor((toTime - first) / STEPS[resolution]) + 1;
+        if (count > MAX_POINTS) {
+            throw invalid(`Range covers ${count} ${resolution} buckets; narrow it or use a coarser step (max ${MAX_POINTS})`);
+        }
+
+        // Buckets with no activity are filled with zeros so charts get an evenly spaced series
+        const keys = bot ? [bot] : bots;
+        const series = {};
+        keys.forEach(key => {
+            series[key] = [];
+        });
+        for (let i = 0; i < count; i++) {
+            const time = first + i * STEPS[resolution];
+            const recorded = this.buckets[resolution].get(time) || {};
+            keys.forEach(key => {
+                const counts = { ...emptyCounts(), ...recorded[key] };
+                series[key].push({
+                    time: new Date(time).toISOString(),
+                    ...counts,
+                    successRate: counts.attempts > 0 ? Math.round((counts.acquired / counts.attempts) * 1000) / 1000 : null
+                });
+            });
+        }
+
+        return {
+            step: resolution,
+            from: new Date(first).toISOString(),
+            to: new Date(toTime).toISOString(),
+            retainedFrom: new Date(bucketStart(now - this.retention[resolution], resolution)).toISOString(),
+            series
+        };
+    }
+}
+
+module.exports = { StatsHistory, statsHistoryConfigFromEnv, STEPS };
@@ -0,0 +1,345 @@
+/**
+ * Watchlist Manager - User-managed keyword watchlists that drive bot name generation
+ * Watchlists are kept in data/watchlists.json; each bot walks the candidates of the watchlists assigned to it
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { ValidationError } = require('./botConfig');
+const { generateCandidates, PATTERN_TOKENS } = require('./nameGenerator');
+const { createIdSource } = require('./simulation');
+const logger = require('../logging').logger.child({ component: 'watchlists' });
+
+const WORD_PATTERN = /^[a-z][a-z0-9-]*$/;
+const TLD_PATTERN = /^[a-z]{2,24}$/;
+// Candidates are the product of these lists, so each one is kept small
+const MAX_WORDS = 50;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_TOKENS = 4;
+
+function normalizeWords(field, value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push(`${field} must be an array of strings`);
+        return [];
+    }
+    if (value.length > MAX_WORDS) {
+        errors.push(`${field} may hold at most ${MAX_WORDS} entries`);
+    }
+    const words = value.map(word => (typeof word === 'string' ? word.trim().toLowerCase() : word));
+    words.forEach(word => {
+        if (typeof word !== 'string' || !WORD_PATTERN.test(word)) {
+            errors.push(`${field} contains an invalid entry: ${JSON.stringify(word)}`);
+        }
+    });
+    return Array.from(new Set(words));
+}
+
+function validateWatchlist(input, { partial = false, botKeys = null } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError('Watchlist must be a JSON object');
+    }
+
+    const errors = [];
+    const watchlist = {};
+    const allowed = ['name', 'keywords', 'tlds', 'patterns', 'exclusions', 'synonyms', 'useSynonyms', 'prefixes', 'suffixes', 'bots', 'enabled'];
+
+    Object.keys(input).forEach(key => {
+        if (!allowed.includes(key)) errors.push(`${key} is not a watchlist field`);
+    });
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 80) {
+            errors.push('name must be a non-empty string of at most 80 characters');
+        } else {
+            watchlist.name = input.name.trim();
+        }
+    }
+
+    if (input.keywords !== undefined || !partial) {
+        watchlist.keywords = normalizeWords('keywords', input.keywords, errors);
+        if (watchlist.keywords.length === 0) errors.push('keywords must contain at least one seed keyword');
+    }
+
+    if (input.tlds !== undefined) {
+        if (!Array.isArray(input.tlds)) {
+            errors.push('tlds must be an array of strings');
+        } else {
+            if (input.tlds.length > MAX_WORDS) errors.push(`tlds may hold at most ${MAX_WORDS} entries`);
+            watchlist.tlds = Array.from(new Set(input.tlds.map(tld => String(tld).trim().toLowerCase().replace(/^\./, ''))));
+            watchlist.tlds.forEach(tld => {
+                if (!TLD_PATTERN.test(tld)) errors.push(`tlds contains an invalid entry: ${JSON.stringify(tld)}`);
+            });
+        }
+    }
+
+    if (input.patterns !== undefined) {
+        if (!Array.isArray(input.patterns)) {
+            errors.push('patterns must be an array of strings');
+        } else {
+            if (input.patterns.length > MAX_PATTERNS) errors.push(`patterns may hold at most ${MAX_PATTERNS} entries`);
+            watchlist.patterns = input.patterns;
+            input.patterns.forEach(pattern => {
+                if (typeof pattern !== 'string' || !/\{keyword\}|\{seed\}/.test(pattern)) {
+                    errors.push(`pattern ${JSON.stringify(pattern)} must include {keyword} or {seed}`);
+                    return;
+                }
+                const tokens = pattern.match(/\{(keyword|seed|prefix|suffix)\}/g).length;
+                if (tokens > MAX_PATTERN_TOKENS) {
+                    errors.push(`pattern ${JSON.stringify(pattern)} may use at most ${MAX_PATTERN_TOKENS} tokens`);
+                }
+                const literal = PATTERN_TOKENS.reduce((rest, token) => rest.split(token).join(''), pattern);
+                if (!/^[a-z-]*$/.test(literal)) {
+                    errors.push(`pattern ${JSON.stringify(pattern)} may only add lowercase letters or "-" around ${PATTERN_TOKENS.join(', ')}`);
+                }
+            });
+        }
+    }
+
+    if (input.exclusions !== undefined) {
+        if (!Array.isArray(input.exclusions) || input.exclusions.some(e => typeof e !== 'string' || !e)) {
+            errors.push('exclusions must be an array of non-empty strings');
+        } else {
+            watchlist.exclusions = input.exclusions;
+            input.exclusions
+                .filter(exclusion => exclusion.startsWith('/') && exclusion.lastIndexOf('/') > 0)
+                .forEach(exclusion => {
+                    const end = exclusion.lastIndexOf('/');
+                    try {
+                        new RegExp(exclusion.slice(1, end), exclusion.slice(end + 1));
+                    } catch (error) {
+                        errors.push(`exclusion ${exclusion} is not a valid regular expression`);
+                    }
+                });
+        }
+    }
+
+    if (input.synonyms !== undefined) {
+        if (!input.synonyms || typeof input.synonyms !== 'object' || Array.isArray(input.synonyms)) {
+            errors.push('synonyms must be an object mapping keywords to arrays of words');
+        } else {
+            const entries = Object.entries(input.synonyms);
+            if (entries.length > MAX_WORDS) errors.push(`synonyms may hold at most ${MAX_WORDS} keywords`);
+            watchlist.synonyms = {};
+            entries.forEach(([keyword, words]) => {
+                if (!WORD_PATTERN.test(keyword.toLowerCase())) {
+                    errors.push(`synonyms contains an invalid keyword: ${JSON.stringify(keyword)}`);
+                    return;
+                }
+                watchlist.synonyms[keyword.toLowerCase()] = normalizeWords(`synonyms.${keyword}`, words, errors);
+            });
+        }
+    }
+
+    ['prefixes', 'suffixes'].forEach(field => {
+        if (input[field] !== undefined) watchlist[field] = normalizeWords(field, input[field], errors);
+    });
+
+    ['useSynonyms', 'enabled'].forEach(field => {
+        if (input[field] === undefined) return;
+        if (typeof input[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        } else {
+            watchlist[field] = input[field];
+        }
+    });
+
+    if (input.bots !== undefined) {
+        if (!Array.isArray(input.bots) || input.bots.some(bot => typeof bot !== 'string')) {
+            errors.push('bots must be an array of bot keys');
+        } else {
+            watchlist.bots = Array.from(new Set(input.bots));
+            if (botKeys) {
+                watchlist.bots
+                    .filter(bot => !botKeys.includes(bot))
+                    .forEach(bot => errors.push(`bots contains an unknown bot key: ${bot}`));
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid watchlist', errors);
+    }
+    return watchlist;
+}
+
+class WatchlistManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.filePath = path.join(config.dataDir || './data', 'watchlists.json');
+        this.maxCandidates = config.maxCandidates || 20000;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.newId = config.newId || createIdSource();
+        this.watchlists = new Map();
+        this.candidateCache = new Map();
+        this.cursors = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            (data.watchlists || []).forEach(watchlist => this.watchlists.set(watchlist.id, watchlist));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to read watchlists', { error });
+            }
+        }
+    }
+
+    save() {
+        const data = JSON.stringify({ watchlists: Array.from(this.watchlists.values()) }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(tmpPath, data))
+            .then(() => fs.rename(tmpPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to persist watchlists', { error });
+            });
+        return this.writeQueue;
+    }
+
+    list({ bot } = {}) {
+        return Array.from(this.watchlists.values())
+            .filter(watchlist => !bot || watchlist.bots.includes(bot))
+            .map(watchlist => this.describe(watchlist));
+    }
+
+    get(id) {
+        const watchlist = this.watchlists.get(id);
+        return watchlist ? this.describe(watchlist) : null;
+    }
+
+    describe(watchlist) {
+        return { ...watchlist, candidateCount: this.candidatesFor(watchlist).length };
+    }
+
+    async create(input, options = {}) {
+        const now = new Date(this.clock.now()).toISOString();
+        const watchlist = {
+            id: this.newId(),
+            tlds: [],
+            patterns: [],
+            exclusions: [],
+            bots: [],
+            enabled: true,
+            ...validateWatchlist(input, options),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        // Expanded before it is stored, so a watchlist that can't generate names is never saved
+        this.candidatesFor(watchlist);
+        this.watchlists.set(watchlist.id, watchlist);
+        this.invalidate();
+        await this.save();
+        this.emit('changed', { action: 'created', watchlist: this.describe(watchlist) });
+        return this.describe(watchlist);
+    }
+
+    async update(id, patch, options = {}) {
+        const existing = this.watchlists.get(id);
+        if (!existing) return null;
+
+        const changes = validateWatchlist(patch, { ...options, partial: true });
+        if (Object.keys(changes).length === 0) {
+            throw new ValidationError('No watchlist fields to update');
+        }
+
+        const watchlist = { ...existing, ...changes, updatedAt: new Date(this.clock.now()).toISOString() };
+        this.candidatesFor(watchlist);
+        this.watchlists.set(id, watchlist);
+        this.invalidate();
+        await this.save();
+        this.emit('changed', { action: 'updated', watchlist: this.describe(watchlist) });
+        return this.describe(watchlist);
+    }
+
+    async remove(id) {
+        const watchlist = this.watchlists.get(id);
+        if (!watchlist) return false;
+
+        this.watchlists.delete(id);
+        this.invalidate();
+        await this.save();
+        this.emit('changed', { action: 'deleted', watchlist });
+        return true;
+    }
+
+    candidatesFor(watchlist) {
+        const key = `${watchlist.id}:${watchlist.updatedAt}`;
+        if (!this.candidateCache.has(key)) {
+            this.candidateCache.set(key, generateCandidates(watchlist, { maxCandidates: this.maxCandidates }));
+        }
+        return this.candidateCache.get(key);
+    }
+
+    invalidate() {
+        this.candidateCache.clear();
+        this.cursors.clear();
+    }
+
+    hasAssignment(botKey) {
+        return Array.from(this.watchlists.values()).some(w => w.enabled && w.bots.includes(botKey));
+    }
+
+    // Interleaves the bot's watchlists so one large list doesn't starve the others
+    candidatesForBot(botKey) {
+        const lists = Array.from(this.watchlists.values())
+            .filter(w => w.enabled && w.bots.includes(botKey))
+            .map(w => this.candidatesFor(w));
+
+        const merged = [];
+        const seen = new Set();
+        const longest = Math.max(0, ...lists.map(list => list.length));
+        for (let i = 0; i < longest; i++) {
+            lists.forEach(list => {
+                if (i < list.length && !seen.has(list[i])) {
+                    seen.add(list[i]);
+                    merged.push(list[i]);
+                }
+            });
+        }
+        return merged;
+    }
+
+    nextCandidate(botKey, isKnown = () => false) {
+        let cursor = this.cursors.get(botKey);
+        if (!cursor) {
+            cursor = { candidates: this.candidatesForBot(botKey), position: 0, passes: 0 };
+            this.cursors.set(botKey, cursor);
+        }
+        if (cursor.candidates.length === 0) return null;
+
+        // Walk past names already seen by the fleet; after a full lap everything is known
+        for (let i = 0; i < cursor.candidates.length; i++) {
+            const domain = cursor.candidates[cursor.position];
+            cursor.position++;
+            if (cursor.position >= cursor.candidates.length) {
+                cursor.position = 0;
+                cursor.passes++;
+            }
+            if (!isKnown(domain)) return domain;
+        }
+        return null;
+    }
+
+    getStats() {
+        const bots = {};
+        this.cursors.forEach((cursor, botKey) => {
+            bots[botKey] = {
+                candidates: cursor.candidates.length,
+                position: cursor.position,
+                passes: cursor.passes
+            };
+        });
+
+        return {
+            total: this.watchlists.size,
+            enabled: Array.from(this.watchlists.values()).filter(w => w.enabled).length,
+            bots
+        };
+    }
+}
+
+module.exports = { WatchlistManager, validateWatchlist };
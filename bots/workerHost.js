@@ -0,0 +1,441 @@
+/**
+ * Worker Host - Runs a bot in its own worker thread behind a proxy with the BaseDomainBot surface
+ * The worker reaches shared services (registry, store, budget, ...) over a message protocol; crashed workers are restarted
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const v8 = require('v8');
+const { Worker } = require('worker_threads');
+const { logger: rootLogger } = require('../logging');
+
+const logger = rootLogger.child({ component: 'workerHost' });
+
+const WORKER_PATH = path.join(__dirname, 'botWorker.js');
+const ISOLATION_MODES = ['none', 'worker'];
+
+// Size of the shared buffer synchronous replies are written into
+const SYNC_BUFFER_BYTES = 1024 * 1024;
+
+// Service methods a worker may call; sync ones block the worker until the reply is written to the shared buffer
+const SYNC_METHODS = {
+    registry: ['has', 'owner', 'claim', 'release', 'beginAcquisition', 'endAcquisition'],
+    store: ['recordDiscovery', 'recordAcquisition'],
+    budget: ['canSpend', 'check', 'reserve', 'release', 'commit'],
+    approvals: ['requiresApproval', 'isPending', 'enqueue'],
+    watchlists: ['hasAssignment', 'nextCandidate']
+};
+
+const ASYNC_METHODS = {
+    availabilityChecker: ['check'],
+    registrar: ['checkAvailability', 'quotePrice', 'register', 'getBalance']
+};
+
+const BOT_EVENTS = ['discovery', 'acquisition', 'status', 'error', 'searchCycle'];
+
+function isolationConfigFromEnv() {
+    const mode = (process.env.BOT_ISOLATION || 'none').toLowerCase();
+    if (!ISOLATION_MODES.includes(mode)) {
+        logger.warn(`Unknown BOT_ISOLATION "${mode}", running bots in-process`);
+    }
+    return {
+        mode: ISOLATION_MODES.includes(mode) ? mode : 'none',
+        maxMemoryMb: parseInt(process.env.BOT_WORKER_MAX_MEMORY_MB) || 256,
+        restartDelay: parseInt(process.env.BOT_WORKER_RESTART_DELAY_MS) || 1000
+    };
+}
+
+function serializeError(error) {
+    if (!error) return null;
+    return { message: error.message || String(error), name: error.name, code: error.code, stack: error.stack };
+}
+
+function deserializeError(data) {
+    const error = new Error(data.message);
+    if (data.name) error.name = data.name;
+    if (data.code !== undefined) error.code = data.code;
+    if (data.stack) error.stack = data.stack;
+    return error;
+}
+
+// Read-only view of a bot's state, the same shape the worker reports back
+function snapshotOf(bot) {
+    return {
+        name: bot.name,
+        isActive: bot.isActive,
+        isPaused: bot.isPaused,
+        stats: { ...bot.stats },
+        status: bot.getStatus(),
+        config: bot.getConfig(),
+        pendingConfig: { ...bot.pendingConfig },
+        lastActivity: bot.lastActivity
+    };
+}
+
+class WorkerBot extends EventEmitter {
+    // template is a locally constructed instance of the bot class, used for its name and initial state
+    constructor({ key, template, source, config = {}, services, dataDir, seed = null, isolation = isolationConfigFromEnv() }) {
+        super();
+        this.key = key;
+        this.source = source;
+        this.botConfig = config;
+        this.services = services;
+        this.seed = seed;
+        this.dataDir = dataDir;
+        this.isolation = isolation;
+        this.hasFrontier = typeof template.getFrontier === 'function';
+        this.snapshot = snapshotOf(template);
+        this.configOverrides = {};
+        this.registrarService = services.registrar || null;
+        this.worker = null;
+        this.syncHeader = null;
+        this.syncPayload = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.held = { acquisitions: new Set(), reservations: new Set() };
+        this.restarts = 0;
+        this.consecutiveCrashes = 0;
+        this.spawnedAt = null;
+        this.restartTimer = null;
+        this.terminating = false;
+
+        this.spawn();
+    }
+
+    get name() { return this.snapshot.name; }
+    get isActive() { return this.snapshot.isActive; }
+    get isPaused() { return this.snapshot.isPaused; }
+    get stats() { return this.snapshot.stats; }
+    get pendingConfig() { return this.snapshot.pendingConfig; }
+    get lastActivity() { return this.snapshot.lastActivity; }
+
+    // The worker keeps its own copies; the shared store is authoritative for the portfolio
+    get discovered() {
+        return this.services.store.list({ bot: this.name });
+    }
+
+    get acquired() {
+        return this.discovered.filter(record => record.status === 'acquired');
+    }
+
+    get registrar() {
+        return this.registrarService;
+    }
+
+    set registrar(registrar) {
+        this.registrarService = registrar || null;
+        this.post({ type: 'registrar', name: registrar ? registrar.name : null });
+    }
+
+    spawn() {
+        const buffer = new SharedArrayBuffer(8 + SYNC_BUFFER_BYTES);
+        this.syncHeader = new Int32Array(buffer, 0, 2);
+        this.syncPayload = new Uint8Array(buffer, 8);
+
+        const worker = new Worker(WORKER_PATH, {
+            workerData: {
+                key: this.key,
+                source: this.source,
+                config: this.botConfig,
+                seed: this.seed,
+                dataDir: this.dataDir,
+                registrar: this.registrarService ? this.registrarService.name : null,
+                syncBuffer: buffer
+            },
+            resourceLimits: { maxOldGenerationSizeMb: this.isolation.maxMemoryMb }
+        });
+
+        worker.on('message', (message) => this.handleMessage(message));
+        worker.on('error', (error) => {
+            this.lastCrash = error;
+        });
+        worker.on('exit', (code) => this.handleExit(worker, code));
+
+        this.worker = worker;
+        this.spawnedAt = Date.now();
+        this.lastCrash = null;
+
+        // A fresh worker starts empty: restore the portfolio, config and run state the previous one had
+        const { isActive, isPaused } = this.snapshot;
+        this.command('rehydrate', this.discovered).catch(() => {});
+        if (Object.keys(this.configOverrides).length > 0) {
+            this.command('updateConfig', this.configOverrides).catch(() => {});
+        }
+        if (isActive) {
+            this.command('start').catch(() => {});
+            if (isPaused) this.command('pause').catch(() => {});
+        }
+    }
+
+    post(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        }
+    }
+
+    command(command, ...args) {
+        if (!this.worker) {
+            return Promise.reject(new Error(`${this.name} worker is restarting`));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.post({ type: 'command', id, command, args });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'call':
+                if (message.sync) {
+                    this.replySync(message);
+                } else {
+                    this.replyAsync(message);
+                }
+                break;
+            case 'reply': {
+                const request = this.pending.get(message.id);
+                if (!request) return;
+                this.pending.delete(message.id);
+                if (message.error) {
+                    request.reject(deserializeError(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            }
+            case 'state':
+                this.snapshot = message.state;
+                break;
+            case 'log':
+                rootLogger.record(message.entry);
+                break;
+            case 'event': {
+                const data = { ...message.data };
+                if (data.error) data.error = deserializeError(data.error);
+                this.emit(message.event, data);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    invoke(target, method, args) {
+        const service = target === 'registrar' ? this.registrarService : this.services[target];
+        if (!service) {
+            throw new Error(`No ${target} configured`);
+        }
+
+        // Callbacks can't cross the thread boundary; the known-domain check runs against the shared registry here
+        if (target === 'watchlists' && method === 'nextCandidate') {
+            return service.nextCandidate(args[0], (domain) => this.services.registry.has(domain));
+        }
+        return service[method](...args);
+    }
+
+    // Tracks what a worker holds so a crash mid-acquisition can give it back
+    track(target, method, args, result) {
+        if (target === 'registry' && method === 'beginAcquisition' && result) {
+            this.held.acquisitions.add(args[0]);
+        } else if (target === 'registry' && method === 'endAcquisition') {
+            this.held.acquisitions.delete(args[0]);
+        } else if (target === 'budget' && method === 'reserve' && result && result.reservationId) {
+            this.held.reservations.add(result.reservationId);
+        } else if (target === 'budget' && (method === 'release' || method === 'commit')) {
+            this.held.reservations.delete(args[0]);
+        }
+    }
+
+    replySync({ target, method, args }) {
+        let reply;
+        try {
+            if (!(SYNC_METHODS[target] || []).includes(method)) {
+                throw new Error(`${target}.${method} is not available to bot workers`);
+            }
+            let result = this.invoke(target, method, args);
+            // Persistence behind store writes stays on this thread; the worker only needs to know the call was accepted
+            if (result && typeof result.then === 'function') {
+                result.catch(error => logger.error(`${target}.${method} failed`, { bot: this.key, error }));
+                result = undefined;
+            }
+            this.track(target, method, args, result);
+            reply = { result };
+        } catch (error) {
+            reply = { error: serializeError(error) };
+        }
+
+        let bytes;
+        try {
+            bytes = v8.serialize(reply);
+            if (bytes.length > this.syncPayload.length) {
+                throw new Error(`Reply to ${target}.${method} is too large for the worker channel`);
+            }
+        } catch (error) {
+            bytes = v8.serialize({ error: serializeError(error) });
+        }
+        this.syncPayload.set(bytes);
+        Atomics.store(this.syncHeader, 1, bytes.length);
+        Atomics.store(this.syncHeader, 0, 1);
+        Atomics.notify(this.syncHeader, 0);
+    }
+
+    async replyAsync({ id, target, method, args }) {
+        const worker = this.worker;
+        try {
+            if (!(ASYNC_METHODS[target] || []).includes(method)) {
+                throw new Error(`${target}.${method} is not available to bot workers`);
+            }
+            const result = await this.invoke(target, method, args);
+            if (worker === this.worker) worker.postMessage({ type: 'reply', id, result });
+        } catch (error) {
+            if (worker === this.worker) worker.postMessage({ type: 'reply', id, error: serializeError(error) });
+        }
+    }
+
+    handleExit(worker, code) {
+        if (worker !== this.worker) return;
+        this.worker = null;
+
+        const crash = new Error('worker exited');
+        this.pending.forEach(request => request.reject(crash));
+        this.pending.clear();
+
+        this.held.acquisitions.forEach(domain => this.services.registry.endAcquisition(domain));
+        this.held.reservations.forEach(id => this.services.budget && this.services.budget.release(id));
+        this.held.acquisitions.clear();
+        this.held.reservations.clear();
+
+        if (this.terminating) return;
+
+        // Workers that stayed up for a minute reset the backoff
+        this.consecutiveCrashes = Date.now() - this.spawnedAt > 60000 ? 1 : this.consecutiveCrashes + 1;
+        const delay = this.isolation.restartDelay * Math.pow(2, Math.min(this.consecutiveCrashes - 1, 5));
+        const reason = this.lastCrash && this.lastCrash.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? `exceeded its ${this.isolation.maxMemoryMb}MB memory limit`
+            : `exited with code ${code}`;
+        const error = this.lastCrash || new Error(`Worker ${reason}`);
+
+        this.emit('error', {
+            bot: this.name,
+            status: 'error',
+            message: `${this.name} worker ${reason}, restarting in ${delay}ms`,
+            error,
+            restarts: this.restarts
+        });
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.restarts++;
+            this.spawn();
+            this.emit('status', {
+                bot: this.name,
+                status: this.snapshot.isActive ? 'active' : 'stopped',
+                message: `${this.name} worker restarted (${this.restarts} restart${this.restarts === 1 ? '' : 's'})`
+            });
+        }, delay);
+    }
+
+    // Lifecycle calls update the cached state straight away; the worker's next state report confirms it
+    start() {
+        if (this.snapshot.isActive) return;
+        this.setState(true, false);
+        this.command('start').catch(() => {});
+    }
+
+    stop() {
+        this.setState(false, false);
+        this.command('stop').catch(() => {});
+    }
+
+    pause() {
+        if (!this.snapshot.isActive || this.snapshot.isPaused) return;
+        this.setState(true, true);
+        this.command('pause').catch(() => {});
+    }
+
+    resume() {
+        if (!this.snapshot.isActive || !this.snapshot.isPaused) return;
+        this.setState(true, false);
+        this.command('resume').catch(() => {});
+    }
+
+    restart() {
+        this.setState(true, false);
+        this.command('restart').catch(() => {});
+    }
+
+    setState(isActive, isPaused) {
+        const state = !isActive ? 'stopped' : (isPaused ? 'paused' : 'running');
+        this.snapshot = {
+            ...this.snapshot,
+            isActive,
+            isPaused,
+            status: { ...this.snapshot.status, isActive, isPaused, state }
+        };
+    }
+
+    getConfig() {
+        return { ...this.snapshot.config };
+    }
+
+    updateConfig(config) {
+        this.configOverrides = { ...this.configOverrides, ...config };
+        const pendingConfig = { ...this.snapshot.pendingConfig, ...config };
+        this.snapshot = this.snapshot.isActive
+            ? { ...this.snapshot, pendingConfig }
+            : { ...this.snapshot, pendingConfig: {}, config: { ...this.snapshot.config, ...pendingConfig } };
+        this.command('updateConfig', config).catch(() => {});
+    }
+
+    rehydrate(records) {
+        this.command('rehydrate', records).catch(() => {});
+    }
+
+    attemptAcquisition(domain, type, value) {
+        return this.command('attemptAcquisition', domain, type, value);
+    }
+
+    drain() {
+        this.setState(false, false);
+        return this.command('drain');
+    }
+
+    getFrontier(options = {}) {
+        return this.command('getFrontier', options);
+    }
+
+    getStatus() {
+        return {
+            ...this.snapshot.status,
+            worker: {
+                threadId: this.worker ? this.worker.threadId : null,
+                state: this.worker ? 'running' : 'restarting',
+                restarts: this.restarts,
+                maxMemoryMb: this.isolation.maxMemoryMb
+            }
+        };
+    }
+
+    async terminate() {
+        this.terminating = true;
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+    }
+}
+
+module.exports = {
+    WorkerBot,
+    isolationConfigFromEnv,
+    serializeError,
+    deserializeError,
+    snapshotOf,
+    SYNC_METHODS,
+    ASYNC_METHODS,
+    BOT_EVENTS
+};
@@ -2,10 +2,16 @@
  * Dashboard JavaScript - Real-time Bot Management Interface
  */
 
+const CHART_COLORS = ['#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ef4444', '#14b8a6', '#ec4899'];
+// SVG chart geometry in viewBox units; the SVG scales to the container width
+const CHART = { width: 600, height: 220, top: 10, left: 40, plotWidth: 550, plotHeight: 180 };
+
 class DashboardManager {
     constructor() {
         this.socket = io();
         this.logEntries = [];
+        this.approvals = new Map();
+        this.permissions = [];
         this.filters = {
             bot: 'all',
             event: 'all',
@@ -17,14 +23,21 @@ class DashboardManager {
             failedAttempts: 0,
             uptime: 0
         };
-        this.botStats = {
-            'Domain Hunter': { discovered: 0, acquired: 0 },
-            'Asset Seeker': { discovered: 0, acquired: 0 },
-            'Recursive Explorer': { discovered: 0, acquired: 0 }
+        this.history = null;
+        this.exportJobs = new Set();
+        this.finishedExportJobs = new Map();
+        this.historyRange = 86400000;
+        // Display name -> bot key, filled from the server so plugin bots are picked up
+        this.botKeys = {
+            'Domain Hunter': 'domainHunter',
+            'Asset Seeker': 'assetSeeker',
+            'Recursive Explorer': 'recursiveExplorer'
         };
         
         this.initializeSocket();
         this.initializeUI();
+        this.loadCurrentUser();
+        this.loadHistory();
         this.startUptimeTimer();
     }
 
@@ -58,9 +71,66 @@ class DashboardManager {
             this.handleAllBotsStopped(data);
         });
 
+        this.socket.on('approvals', (items) => {
+            this.approvals = new Map(items.map(item => [item.id, item]));
+            this.renderApprovals();
+        });
+
+        this.socket.on('approvalRequested', (item) => {
+            this.approvals.set(item.id, item);
+            this.addLogEntry('acquisition', `${this.escapeHtml(item.bot)} needs approval to acquire ${this.escapeHtml(item.domain)} (value ${this.escapeHtml(item.value)})`);
+            this.renderApprovals();
+        });
+
+        this.socket.on('approvalDecided', (item) => {
+            this.approvals.delete(item.id);
+            this.addLogEntry('acquisition', `Acquisition of ${this.escapeHtml(item.domain)} ${item.status}`, item.status === 'approved' ? 'success' : '');
+            this.renderApprovals();
+        });
+
+        this.socket.on('budgetAlert', (data) => {
+            this.addLogEntry('system', `Budget alert: ${data.scope} spend at ${Math.round(data.threshold * 100)}% (${data.spent} of ${data.limit})`, 'error');
+        });
+
+        this.socket.on('configChanged', (data) => {
+            this.handleConfigChanged(data);
+        });
+
+        this.socket.on('botError', (data) => {
+            this.addLogEntry('system', data.message, 'error');
+        });
+
+        // The server samples history once a minute; charts are refreshed when a sample lands
+        this.socket.on('statsSampled', () => {
+            this.loadHistory();
+        });
+
+        this.socket.on('botControl', (data) => {
+            this.addLogEntry('system', `${data.bot} ${data.action} → ${data.state}`);
+        });
+
+        this.socket.on('exportJob', (job) => {
+            this.handleExportJob(job);
+        });
+
+        this.socket.on('domainsImported', (data) => {
+            this.addLogEntry('system', `Imported ${data.imported} new and ${data.updated} updated domains (${data.totalDomains} in portfolio)`, 'success');
+        });
+
+        this.socket.on('serverShutdown', (data) => {
+            this.addLogEntry('system', `Server is shutting down (${data.signal}); finishing in-flight acquisitions`, 'error');
+        });
+
         this.socket.on('disconnect', () => {
             this.addLogEntry('system', 'Disconnected from bot server', 'error');
         });
+
+        // The handshake is rejected once the session has expired
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'Unauthorized') {
+                window.location.href = '/login?next=/dashboard';
+            }
+        });
     }
 
     initializeUI() {
@@ -73,12 +143,38 @@ class DashboardManager {
             this.socket.emit('stopBots');
         });
 
-        document.getElementById('exportJson').addEventListener('click', () => {
-            this.exportData('json');
+        // Per-bot controls; delegated so cards added for plugin bots work too
+        document.querySelector('.bot-cards').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const card = button.closest('.bot-card');
+            this.controlBot(card.dataset.bot, button.dataset.action);
+        });
+
+        document.getElementById('approvalList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-approval]');
+            if (!button) return;
+            this.decideApproval(button.dataset.approval, button.dataset.decision);
         });
 
-        document.getElementById('exportCsv').addEventListener('click', () => {
-            this.exportData('csv');
+        document.getElementById('exportDownload').addEventListener('click', () => {
+            this.exportData(document.getElementById('exportFormat').value);
+        });
+
+        document.getElementById('exportBackground').addEventListener('click', () => {
+            this.queueExport(document.getElementById('exportFormat').value);
+        });
+
+        document.getElementById('importDomains').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // Cleared so picking the same file again still fires change
+            e.target.value = '';
+            if (file) this.importDomains(file);
         });
 
         document.getElementById('clearLog').addEventListener('click', () => {
@@ -100,52 +196,123 @@ class DashboardManager {
             this.filters.asset = e.target.value;
             this.applyFilters();
         });
+
+        document.getElementById('historyRange').addEventListener('change', (e) => {
+            this.historyRange = Number(e.target.value);
+            this.loadHistory();
+        });
+
+        ['serverLogLevel', 'serverLogBot', 'serverLogSince'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadServerLogs());
+        });
+        document.getElementById('refreshServerLogs').addEventListener('click', () => {
+            this.loadServerLogs();
+        });
     }
 
-    updateCustomCharts() {
-        // Update discovery timeline bars
-        const totalDiscovered = Object.values(this.botStats).reduce((sum, bot) => sum + bot.discovered, 0);
-        
-        if (totalDiscovered > 0) {
-            const hunterPercent = (this.botStats['Domain Hunter'].discovered / totalDiscovered) * 100;
-            const seekerPercent = (this.botStats['Asset Seeker'].discovered / totalDiscovered) * 100;
-            const explorerPercent = (this.botStats['Recursive Explorer'].discovered / totalDiscovered) * 100;
-            
-            document.getElementById('hunterBar').style.width = `${hunterPercent}%`;
-            document.getElementById('seekerBar').style.width = `${seekerPercent}%`;
-            document.getElementById('explorerBar').style.width = `${explorerPercent}%`;
+    async loadHistory() {
+        try {
+            const from = new Date(Date.now() - this.historyRange).toISOString();
+            const response = await fetch(`/api/stats/history?from=${encodeURIComponent(from)}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || response.statusText);
+            this.history = body;
+            this.renderHistoryCharts();
+        } catch (error) {
+            const message = `<p class="approval-empty">Failed to load history: ${this.escapeHtml(error.message)}</p>`;
+            document.getElementById('discoveryChart').innerHTML = message;
+            document.getElementById('successRateChart').innerHTML = message;
         }
-        
-        // Update discovery counts
-        document.getElementById('hunterCount').textContent = this.botStats['Domain Hunter'].discovered;
-        document.getElementById('seekerCount').textContent = this.botStats['Asset Seeker'].discovered;
-        document.getElementById('explorerCount').textContent = this.botStats['Recursive Explorer'].discovered;
-        
-        // Update success rates
-        Object.keys(this.botStats).forEach(botName => {
-            const bot = this.botStats[botName];
-            const successRate = bot.discovered > 0 ? Math.round((bot.acquired / bot.discovered) * 100) : 0;
-            
-            if (botName === 'Domain Hunter') {
-                document.getElementById('hunterSuccess').textContent = `${successRate}%`;
-            } else if (botName === 'Asset Seeker') {
-                document.getElementById('seekerSuccess').textContent = `${successRate}%`;
-            } else if (botName === 'Recursive Explorer') {
-                document.getElementById('explorerSuccess').textContent = `${successRate}%`;
-            }
+    }
+
+    renderHistoryCharts() {
+        const keys = Object.keys(this.history.series);
+        const names = Object.entries(this.botKeys).reduce((map, [name, key]) => ({ ...map, [key]: name }), {});
+        const bots = keys.map((key, index) => ({
+            key,
+            name: names[key] || key,
+            color: CHART_COLORS[index % CHART_COLORS.length],
+            points: this.history.series[key]
+        }));
+        const times = bots.length > 0 ? bots[0].points.map(point => new Date(point.time)) : [];
+
+        // Discovery timeline: discoveries per bucket, stacked per bot
+        const totals = times.map((time, i) => bots.reduce((sum, bot) => sum + bot.points[i].discovered, 0));
+        const maxTotal = Math.max(1, ...totals);
+        const slot = CHART.plotWidth / Math.max(1, times.length);
+        const bars = [];
+        times.forEach((time, i) => {
+            let y = CHART.top + CHART.plotHeight;
+            bots.forEach(bot => {
+                const height = (bot.points[i].discovered / maxTotal) * CHART.plotHeight;
+                if (height <= 0) return;
+                y -= height;
+                bars.push(`<rect x="${(CHART.left + i * slot).toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(1, slot - 1).toFixed(1)}" height="${height.toFixed(1)}" fill="${bot.color}"><title>${this.escapeHtml(bot.name)} · ${time.toLocaleString()} · ${bot.points[i].discovered}</title></rect>`);
+            });
+        });
+        document.getElementById('discoveryChart').innerHTML = this.chartSvg(bars.join(''), times, `${maxTotal}`);
+        document.getElementById('discoveryLegend').innerHTML = bots.map(bot => this.legendItem(bot,
+            bot.points.reduce((sum, point) => sum + point.discovered, 0)
+        )).join('');
+
+        // Success rate: acquired / attempted per bucket; buckets without attempts leave a gap in the line
+        const lines = bots.map(bot => {
+            const segments = [[]];
+            bot.points.forEach((point, i) => {
+                if (point.successRate === null) {
+                    if (segments[segments.length - 1].length > 0) segments.push([]);
+                    return;
+                }
+                const x = CHART.left + i * slot + slot / 2;
+                const y = CHART.top + (1 - point.successRate) * CHART.plotHeight;
+                segments[segments.length - 1].push(`${x.toFixed(1)},${y.toFixed(1)}`);
+            });
+            return segments.filter(segment => segment.length > 0).map(segment => segment.length === 1
+                ? `<circle cx="${segment[0].split(',')[0]}" cy="${segment[0].split(',')[1]}" r="2.5" fill="${bot.color}"/>`
+                : `<polyline points="${segment.join(' ')}" fill="none" stroke="${bot.color}" stroke-width="2"/>`
+            ).join('');
         });
+        document.getElementById('successRateChart').innerHTML = this.chartSvg(lines.join(''), times, '100%');
+        document.getElementById('successRateLegend').innerHTML = bots.map(bot => {
+            const attempts = bot.points.reduce((sum, point) => sum + point.attempts, 0);
+            const acquired = bot.points.reduce((sum, point) => sum + point.acquired, 0);
+            return this.legendItem(bot, attempts > 0 ? `${Math.round((acquired / attempts) * 100)}% of ${attempts}` : 'no attempts');
+        }).join('');
+    }
+
+    chartSvg(content, times, maxLabel) {
+        const bottom = CHART.top + CHART.plotHeight;
+        const format = (time) => this.history.step === 'minute' || this.history.step === 'hour'
+            ? time.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : time.toLocaleDateString();
+        const first = times.length > 0 ? format(times[0]) : '';
+        const last = times.length > 0 ? format(times[times.length - 1]) : '';
+        return `
+            <svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img">
+                <line class="chart-axis" x1="${CHART.left}" y1="${bottom}" x2="${CHART.left + CHART.plotWidth}" y2="${bottom}"/>
+                <line class="chart-axis" x1="${CHART.left}" y1="${CHART.top}" x2="${CHART.left}" y2="${bottom}"/>
+                <text class="chart-label" x="${CHART.left - 6}" y="${CHART.top + 4}" text-anchor="end">${maxLabel}</text>
+                <text class="chart-label" x="${CHART.left - 6}" y="${bottom}" text-anchor="end">0</text>
+                <text class="chart-label" x="${CHART.left}" y="${CHART.height - 4}">${first}</text>
+                <text class="chart-label" x="${CHART.left + CHART.plotWidth}" y="${CHART.height - 4}" text-anchor="end">${last}</text>
+                ${content}
+            </svg>
+        `;
+    }
+
+    legendItem(bot, value) {
+        return `
+            <div class="legend-item">
+                <div class="legend-color" style="background: ${bot.color};"></div>
+                <span>${this.escapeHtml(bot.name)}</span>
+                <span class="count">${value}</span>
+            </div>
+        `;
     }
 
     handleDiscovery(data) {
         this.addLogEntry('discovery', `${data.bot} discovered ${data.domain} (${data.type})`, 'success');
         this.updateBotCard(data.bot, data);
-        
-        // Update bot stats for charts
-        if (this.botStats[data.bot]) {
-            this.botStats[data.bot].discovered++;
-        }
-        
-        this.updateCustomCharts();
         this.stats.totalDomains = data.totalDomains || this.stats.totalDomains + 1;
         this.updateStatsDisplay();
     }
@@ -155,18 +322,11 @@ class DashboardManager {
         const logClass = data.success ? 'success' : 'error';
         this.addLogEntry('acquisition', `${data.bot} ${status} ${data.domain}`, logClass);
         
-        // Update bot stats for charts
-        if (data.success && this.botStats[data.bot]) {
-            this.botStats[data.bot].acquired++;
-        }
-        
         if (data.stats) {
             this.stats.successfulAcquisitions = data.stats.successfulAcquisitions;
             this.stats.failedAttempts = data.stats.failedAttempts;
             this.updateStatsDisplay();
         }
-        
-        this.updateCustomCharts();
     }
 
     handleStatus(data) {
@@ -178,6 +338,14 @@ class DashboardManager {
         }
     }
 
+    handleConfigChanged(data) {
+        const changes = Object.entries(data.changes)
+            .map(([key, value]) => `${key}: ${data.previous[key]} → ${value}`)
+            .join(', ');
+        const when = data.appliesAt === 'nextCycle' ? ' (applies next cycle)' : '';
+        this.addLogEntry('status', `${data.bot} config changed: ${changes}${when}`);
+    }
+
     handleAllBotsStarted(data) {
         this.addLogEntry('system', 'All bots started successfully', 'success');
         this.updateAllBotStatus('active');
@@ -198,12 +366,17 @@ class DashboardManager {
         
         if (data.bots) {
             data.bots.forEach(bot => {
+                this.botKeys[bot.status.name] = bot.name;
+                this.ensureBotCard(bot.name, bot.status.name);
                 this.updateBotCardFromStats(bot);
             });
+            // Chart legends use display names, which may arrive after the history
+            if (this.history) {
+                this.renderHistoryCharts();
+            }
         }
         
         this.updateStatsDisplay();
-        this.updateCustomCharts();
     }
 
     updateStatsDisplay() {
@@ -231,9 +404,33 @@ class DashboardManager {
         }
     }
 
+    ensureBotCard(botKey, botName) {
+        let card = document.querySelector(`[data-bot="${botKey}"]`);
+        if (card) return card;
+
+        // Plugin bots get a card cloned from the first built-in one
+        const template = document.querySelector('.bot-card');
+        if (!template) return null;
+
+        card = template.cloneNode(true);
+        card.dataset.bot = botKey;
+        card.querySelector('.bot-header h3').textContent = `🤖 ${botName}`;
+        card.querySelectorAll('[data-stat]').forEach(stat => { stat.textContent = '0'; });
+        card.querySelector('.progress-fill').style.width = '0%';
+        card.querySelector('.bot-message').textContent = `Ready to run ${botName}`;
+        template.parentNode.appendChild(card);
+
+        const botFilter = document.getElementById('botFilter');
+        if (botFilter && !Array.from(botFilter.options).some(option => option.value === botName)) {
+            botFilter.add(new Option(botName, botName));
+        }
+
+        return card;
+    }
+
     updateBotCardFromStats(bot) {
-        const botKey = this.getBotKey(bot.name);
-        const card = document.querySelector(`[data-bot="${botKey}"]`);
+        // Stats payloads carry the bot key as `name` and the display name in `status.name`
+        const card = document.querySelector(`[data-bot="${bot.name}"]`);
         if (!card) return;
 
         // Update stats
@@ -244,7 +441,11 @@ class DashboardManager {
 
         // Update status indicator
         const statusIndicator = card.querySelector('.status-indicator');
-        if (bot.status.isActive) {
+        if (bot.status.isPaused) {
+            statusIndicator.textContent = 'Paused';
+            statusIndicator.className = 'status-indicator paused';
+            card.classList.remove('pulsing');
+        } else if (bot.status.isActive) {
             statusIndicator.textContent = 'Active';
             statusIndicator.className = 'status-indicator active';
             card.classList.add('pulsing');
@@ -269,7 +470,11 @@ class DashboardManager {
         const statusIndicator = card.querySelector('.status-indicator');
         const messageElement = card.querySelector('.bot-message');
 
-        if (status === 'active' || status === 'searching' || status === 'seeking' || status === 'exploring') {
+        if (status === 'paused') {
+            statusIndicator.textContent = 'Paused';
+            statusIndicator.className = 'status-indicator paused';
+            card.classList.remove('pulsing');
+        } else if (status === 'active' || status === 'searching' || status === 'seeking' || status === 'exploring') {
             statusIndicator.textContent = 'Active';
             statusIndicator.className = 'status-indicator active';
             card.classList.add('pulsing');
@@ -300,34 +505,45 @@ class DashboardManager {
         });
     }
 
-    updateCharts() {
-        // Update discovery timeline
-        const now = new Date().toLocaleTimeString();
-        this.charts.discovery.data.labels.push(now);
-        
-        // Keep only last 10 data points
-        if (this.charts.discovery.data.labels.length > 10) {
-            this.charts.discovery.data.labels.shift();
-            this.charts.discovery.data.datasets.forEach(dataset => {
-                dataset.data.shift();
-            });
-        }
-
-        // Add current discovery data (simulated)
-        this.charts.discovery.data.datasets.forEach(dataset => {
-            dataset.data.push(Math.floor(Math.random() * 5));
+    controlBot(botKey, action) {
+        this.socket.emit(`${action}Bot`, { bot: botKey }, (response) => {
+            if (!response || !response.success) {
+                this.addLogEntry('system', `Failed to ${action} ${botKey}: ${response ? response.error : 'no response'}`, 'error');
+            }
         });
+    }
+
+    renderApprovals() {
+        const container = document.getElementById('approvalList');
+        const pending = Array.from(this.approvals.values()).filter(item => item.status === 'pending');
+        document.getElementById('approvalCount').textContent = pending.length;
+
+        if (pending.length === 0) {
+            container.innerHTML = '<p class="approval-empty">No acquisitions awaiting approval</p>';
+            return;
+        }
 
-        this.charts.discovery.update('none');
+        container.innerHTML = pending.map(item => `
+            <div class="approval-item">
+                <div class="approval-details">
+                    <strong>${this.escapeHtml(item.domain)}</strong>
+                    <span class="approval-meta">${this.escapeHtml(item.bot)} · ${this.escapeHtml(item.type)} · value ${this.escapeHtml(item.value)} · expires ${new Date(item.expiresAt).toLocaleString()}</span>
+                </div>
+                <div class="bot-controls" data-permission="approvals:decide" ${this.can('approvals:decide') ? '' : 'hidden'}>
+                    <button class="btn btn-small btn-success" data-approval="${this.escapeHtml(item.id)}" data-decision="approve">Approve</button>
+                    <button class="btn btn-small btn-danger" data-approval="${this.escapeHtml(item.id)}" data-decision="reject">Reject</button>
+                </div>
+            </div>
+        `).join('');
+    }
 
-        // Update performance chart
-        const performanceData = [
-            Math.floor(Math.random() * 100),
-            Math.floor(Math.random() * 100),
-            Math.floor(Math.random() * 100)
-        ];
-        this.charts.performance.data.datasets[0].data = performanceData;
-        this.charts.performance.update('none');
+    decideApproval(id, decision) {
+        const event = decision === 'approve' ? 'approveAcquisition' : 'rejectAcquisition';
+        this.socket.emit(event, { id }, (response) => {
+            if (!response || !response.success) {
+                this.addLogEntry('system', `Failed to ${decision} acquisition: ${response ? response.error : 'no response'}`, 'error');
+            }
+        });
     }
 
     addLogEntry(type, message, className = '') {
@@ -390,18 +606,155 @@ class DashboardManager {
         this.addLogEntry('system', 'Activity log cleared');
     }
 
+    async loadCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (!response.ok) return;
+            const { user } = await response.json();
+            document.getElementById('currentUser').textContent = user ? `${user.username} (${user.role})` : '';
+            this.permissions = user ? user.permissions : [];
+            this.applyPermissions();
+            if (this.can('logs:read')) {
+                this.loadServerLogs();
+            }
+        } catch (error) {
+            console.error('Failed to load current user:', error);
+        }
+    }
+
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+
+    // The server enforces the same matrix; this only hides controls the user can't use
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !this.can(element.dataset.permission);
+        });
+    }
+
+    async loadServerLogs() {
+        const container = document.getElementById('serverLogContainer');
+        const botSelect = document.getElementById('serverLogBot');
+        const params = new URLSearchParams({ level: document.getElementById('serverLogLevel').value, limit: 200 });
+        const since = document.getElementById('serverLogSince').value;
+        if (since) params.set('since', new Date(Date.now() - Number(since)).toISOString());
+        if (botSelect.value) params.set('bot', botSelect.value);
+
+        // Bot keys are learned from stats, so plugin bots show up in the filter too
+        Object.entries(this.botKeys).forEach(([name, key]) => {
+            if (!botSelect.querySelector(`option[value="${key}"]`)) {
+                botSelect.add(new Option(name, key));
+            }
+        });
+
+        try {
+            const response = await fetch(`/api/logs?${params}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || response.statusText);
+
+            if (body.entries.length === 0) {
+                container.innerHTML = '<p class="approval-empty">No matching server log entries</p>';
+                return;
+            }
+            container.innerHTML = body.entries.map(entry => `
+                <div class="log-entry server-log ${entry.level}">
+                    <span class="timestamp">${new Date(entry.time).toLocaleString()}</span>
+                    <span class="log-level">${entry.level.toUpperCase()}</span>
+                    <span class="message">${this.escapeHtml([entry.component, entry.bot].filter(Boolean).map(scope => `[${scope}] `).join('') + entry.msg)}${entry.error ? `: ${this.escapeHtml(entry.error.message)}` : ''}</span>
+                </div>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = `<p class="approval-empty">Failed to load server logs: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Exports follow the activity log's Bot and Asset Type filters
+    exportQuery(format) {
+        const params = new URLSearchParams({ format });
+        if (this.filters.bot !== 'all') params.set('bot', this.filters.bot);
+        if (this.filters.asset !== 'all') params.set('type', this.filters.asset);
+        return params;
+    }
+
     exportData(format) {
-        window.open(`/api/export/${format}`, '_blank');
+        window.open(`/api/export?${this.exportQuery(format)}`, '_blank');
         this.addLogEntry('system', `Data exported as ${format.toUpperCase()}`);
     }
 
-    getBotKey(botName) {
-        const keyMap = {
-            'Domain Hunter': 'domainHunter',
-            'Asset Seeker': 'assetSeeker',
-            'Recursive Explorer': 'recursiveExplorer'
+    async queueExport(format) {
+        try {
+            const response = await fetch(`/api/export/jobs?${this.exportQuery(format)}`, { method: 'POST' });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || response.statusText);
+            this.exportJobs.add(body.id);
+            this.addLogEntry('system', `${format.toUpperCase()} export queued`);
+            // A small export can finish before this response arrives
+            if (this.finishedExportJobs.has(body.id)) {
+                this.handleExportJob(this.finishedExportJobs.get(body.id));
+            }
+        } catch (error) {
+            this.addLogEntry('system', `Failed to start ${format.toUpperCase()} export: ${error.message}`, 'error');
+        }
+    }
+
+    // Only jobs started from this page are reported; other users' jobs are broadcast too
+    handleExportJob(job) {
+        if (!this.exportJobs.has(job.id)) {
+            if (job.finishedAt) this.finishedExportJobs.set(job.id, job);
+            return;
+        }
+        this.finishedExportJobs.delete(job.id);
+
+        if (job.status === 'completed') {
+            this.exportJobs.delete(job.id);
+            this.addLogEntry('system', `${job.format.toUpperCase()} export ready (${job.rows} domains): <a href="${job.downloadUrl}">download</a>`, 'success');
+        } else if (job.status === 'failed') {
+            this.exportJobs.delete(job.id);
+            this.addLogEntry('system', `${job.format.toUpperCase()} export failed: ${this.escapeHtml(job.error)}`, 'error');
+        }
+    }
+
+    // A dry run is shown first; nothing is written until the user confirms. The result arrives as `domainsImported`
+    async importDomains(file) {
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        const name = this.escapeHtml(file.name);
+        const send = async (dryRun) => {
+            const response = await fetch(`/api/import?${new URLSearchParams({ format, dryRun })}`, {
+                method: 'POST',
+                headers: { 'Content-Type': format === 'json' ? 'application/json' : 'text/csv' },
+                body: file
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || response.statusText);
+            return body;
         };
-        return keyMap[botName] || botName.toLowerCase().replace(/\s+/g, '');
+
+        try {
+            const preview = await send(true);
+            const { imported, updated, skipped, failed } = preview.summary;
+            preview.errors.slice(0, 5).forEach(row => {
+                this.addLogEntry('system', `${name} row ${row.row}${row.domain ? ` (${this.escapeHtml(row.domain)})` : ''}: ${this.escapeHtml(row.errors.join('; '))}`, 'error');
+            });
+            if (imported + updated === 0) {
+                this.addLogEntry('system', `Nothing to import from ${name}: ${skipped} already known, ${failed} invalid`, 'error');
+                return;
+            }
+            if (!window.confirm(`Import ${file.name}?\n\n${imported} new, ${updated} updated, ${skipped} already known, ${failed} invalid (not imported)`)) {
+                return;
+            }
+            await send(false);
+        } catch (error) {
+            this.addLogEntry('system', `Import of ${name} failed: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    getBotKey(botName) {
+        return this.botKeys[botName] || botName.toLowerCase().replace(/\s+/g, '');
     }
 
     formatUptime(ms) {
@@ -28,7 +28,7 @@ module.exports = {
     max_restarts: 10,
     min_uptime: '10s',
     restart_delay: 4000,
-    kill_timeout: 5000,
+    kill_timeout: 45000, // Longer than SHUTDOWN_TIMEOUT_MS so in-flight acquisitions can drain
     listen_timeout: 8000,
     health_check_grace_period: 30000,
     cron_restart: '0 4 * * *', // Restart daily at 4 AM
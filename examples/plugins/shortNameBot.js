@@ -0,0 +1,58 @@
+/**
+ * Example bot plugin - Copy into the plugins directory (BOT_PLUGINS_DIR) to enable it
+ * Plugins export { key, BotClass, config }, an array of them, or a factory receiving { BaseDomainBot }
+ */
+
+module.exports = ({ BaseDomainBot }) => {
+    class ShortNameBot extends BaseDomainBot {
+        constructor(config = {}) {
+            super('Short Name Sniper', { searchInterval: 5000, searchDepth: 1, ...config });
+            this.specialty = 'short brandable names';
+        }
+
+        generateDomainName() {
+            const letters = 'abcdefghijklmnopqrstuvwxyz';
+            let label = '';
+            for (let i = 0; i < 4; i++) {
+                label += letters[Math.floor(Math.random() * letters.length)];
+            }
+            return `${label}.io`;
+        }
+
+        async performSearch() {
+            const domain = this.generateDomainName();
+            this.stats.domainsScanned++;
+
+            if (this.isDuplicate(domain)) return;
+
+            const availability = await this.lookupAvailability(domain);
+
+            if (availability.discoverable && this.claimDomain(domain)) {
+                this.stats.domainsDiscovered++;
+                this.recordDiscovery({
+                    domain,
+                    type: 'short',
+                    registrar: this.registrar ? this.registrar.name : null,
+                    availability: availability.status,
+                    expiresAt: availability.expiresAt
+                });
+
+                this.emit('discovery', {
+                    bot: this.name,
+                    domain,
+                    type: 'short',
+                    specialty: this.specialty,
+                    availability: availability.status
+                });
+            }
+
+            this.emit('status', {
+                bot: this.name,
+                status: 'searching',
+                message: `Scanned: ${this.stats.domainsScanned}, Found: ${this.stats.domainsDiscovered}`
+            });
+        }
+    }
+
+    return { key: 'shortNameSniper', BotClass: ShortNameBot };
+};
@@ -0,0 +1,142 @@
+/**
+ * Export Jobs - Background exports for sets too large to download in one request
+ * Jobs run one at a time into data/exports/ and are deleted, file included, once they are older than the TTL
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logging').logger.child({ component: 'exportJobs' });
+const { FORMATS, isFormat } = require('./formats');
+
+class ExportJobs extends EventEmitter {
+    // `run(format, filters, output)` streams the export into `output` and resolves with { rows }
+    constructor(config = {}) {
+        super();
+        this.dir = path.join(config.dataDir || './data', 'exports');
+        this.run = config.run;
+        this.ttl = config.jobTtl || 86400000;
+        this.maxQueued = config.maxQueuedJobs || 10;
+        this.jobs = new Map();
+        this.queue = Promise.resolve();
+        this.sweepTimer = null;
+    }
+
+    // Files are only reachable through a job, and jobs don't survive a restart, so leftovers are removed
+    async load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const files = await fs.promises.readdir(this.dir);
+        await Promise.all(files
+            .filter(file => file.startsWith('export-'))
+            .map(file => fs.promises.unlink(path.join(this.dir, file)).catch(() => {})));
+    }
+
+    startSweepTimer() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.ttl, 3600000));
+        this.sweepTimer.unref();
+    }
+
+    stopSweepTimer() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    create({ format, filters = {}, requestedBy = null }) {
+        if (!isFormat(format)) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        const waiting = Array.from(this.jobs.values()).filter(job => job.status === 'queued' || job.status === 'running');
+        if (waiting.length >= this.maxQueued) {
+            const error = new Error(`Too many export jobs in progress (max ${this.maxQueued})`);
+            error.code = 'TOO_MANY_JOBS';
+            throw error;
+        }
+
+        const id = crypto.randomUUID();
+        const job = {
+            id,
+            format,
+            filters,
+            requestedBy,
+            status: 'queued',
+            rows: 0,
+            bytes: 0,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            fileName: `export-${id}.${FORMATS[format].extension}`
+        };
+        this.jobs.set(id, job);
+        this.emit('updated', this.toJSON(job));
+
+        this.queue = this.queue.then(() => this.execute(job));
+        return this.toJSON(job);
+    }
+
+    async execute(job) {
+        const filePath = this.filePath(job);
+        const tmpPath = `${filePath}.tmp`;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emit('updated', this.toJSON(job));
+
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            const { rows } = await this.run(job.format, job.filters, fs.createWriteStream(tmpPath));
+            await fs.promises.rename(tmpPath, filePath);
+            job.rows = rows;
+            job.bytes = (await fs.promises.stat(filePath)).size;
+            job.status = 'completed';
+        } catch (error) {
+            logger.error(`Export job ${job.id} failed`, { error, format: job.format });
+            await fs.promises.unlink(tmpPath).catch(() => {});
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        this.emit('updated', this.toJSON(job));
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toJSON(job) : null;
+    }
+
+    list() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.toJSON(job));
+    }
+
+    filePath(job) {
+        return path.join(this.dir, job.fileName);
+    }
+
+    async sweep(now = Date.now()) {
+        const expired = Array.from(this.jobs.values()).filter(job =>
+            job.finishedAt && now - new Date(job.finishedAt).getTime() > this.ttl
+        );
+        for (const job of expired) {
+            this.jobs.delete(job.id);
+            await fs.promises.unlink(this.filePath(job)).catch(() => {});
+        }
+        return expired.length;
+    }
+
+    toJSON(job) {
+        const { fileName, ...rest } = job;
+        return {
+            ...rest,
+            expiresAt: job.finishedAt ? new Date(new Date(job.finishedAt).getTime() + this.ttl).toISOString() : null,
+            downloadUrl: job.status === 'completed' ? `/api/export/jobs/${job.id}/download` : null
+        };
+    }
+}
+
+module.exports = ExportJobs;
@@ -0,0 +1,167 @@
+/**
+ * Export Formats - Streaming serializers that turn domain store records into CSV, JSON, NDJSON or XLSX
+ * Each serializer is an object-mode Transform: records in, bytes out, so exports never build the whole file in memory
+ */
+
+const { Transform } = require('stream');
+const { ZipWriter } = require('./zipWriter');
+
+// The column layout of the domains-*.csv exports, kept so existing spreadsheets and imports keep working
+const CSV_COLUMNS = ['Domain', 'Bot', 'Type', 'Status', 'AcquisitionDate', 'Value', 'Registrar'];
+
+function toRow(record) {
+    const acquired = record.status === 'acquired';
+    const value = record.value !== undefined && record.value !== null ? record.value : record.price;
+    return [
+        record.domain,
+        record.bot,
+        record.type,
+        acquired ? 'Acquired' : 'Discovered',
+        acquired ? record.acquiredAt : '',
+        value !== undefined && value !== null ? value : '',
+        record.registrar
+    ];
+}
+
+// RFC 4180: quote fields containing separators, quotes or line breaks and double embedded quotes
+function escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(escapeCsv).join(',') + '\n';
+}
+
+class CsvSerializer extends Transform {
+    constructor() {
+        super({ writableObjectMode: true });
+        this.rows = 0;
+        this.push(csvLine(CSV_COLUMNS));
+    }
+
+    _transform(record, encoding, callback) {
+        this.rows++;
+        callback(null, csvLine(toRow(record)));
+    }
+}
+
+class NdjsonSerializer extends Transform {
+    constructor() {
+        super({ writableObjectMode: true });
+        this.rows = 0;
+    }
+
+    _transform(record, encoding, callback) {
+        this.rows++;
+        callback(null, JSON.stringify(record) + '\n');
+    }
+}
+
+// {"exportedAt":..,"filters":{..},"domains":[..],"count":N}; the count goes last because it is only known at the end
+class JsonSerializer extends Transform {
+    constructor(meta = {}) {
+        super({ writableObjectMode: true });
+        this.rows = 0;
+        this.push(`{"exportedAt":${JSON.stringify(meta.exportedAt || new Date().toISOString())},"filters":${JSON.stringify(meta.filters || {})},"domains":[`);
+    }
+
+    _transform(record, encoding, callback) {
+        callback(null, (this.rows++ > 0 ? ',\n' : '\n') + JSON.stringify(record));
+    }
+
+    _flush(callback) {
+        callback(null, `${this.rows > 0 ? '\n' : ''}],"count":${this.rows}}\n`);
+    }
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab/newline are not allowed in XML
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function xlsxCell(value) {
+    if (value === undefined || value === null || value === '') return '<c/>';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c t="n"><v>${value}</v></c>`;
+    return `<c t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+}
+
+function xlsxRow(values) {
+    return `<row>${values.map(xlsxCell).join('')}</row>`;
+}
+
+const XLSX_STATIC_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Domains" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+};
+
+// One "Domains" sheet in the CSV column layout; rows are deflated into the archive as they arrive
+class XlsxSerializer extends Transform {
+    constructor() {
+        super({ writableObjectMode: true });
+        this.rows = 0;
+        this.zip = new ZipWriter((chunk) => this.push(chunk));
+        Object.entries(XLSX_STATIC_PARTS).forEach(([name, content]) => this.zip.addFile(name, content));
+        this.sheet = this.zip.openFile('xl/worksheets/sheet1.xml');
+        this.pending = this.sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+            + xlsxRow(CSV_COLUMNS));
+    }
+
+    _transform(record, encoding, callback) {
+        this.rows++;
+        this.pending = this.pending.then(() => this.sheet.write(xlsxRow(toRow(record))));
+        this.pending.then(() => callback(), callback);
+    }
+
+    _flush(callback) {
+        this.pending
+            .then(() => this.sheet.write('</sheetData></worksheet>'))
+            .then(() => this.sheet.end())
+            .then(() => {
+                this.zip.finish();
+                callback();
+            }, callback);
+    }
+}
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', Serializer: CsvSerializer },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json', Serializer: JsonSerializer },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson', Serializer: NdjsonSerializer },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', Serializer: XlsxSerializer }
+};
+
+// Own keys only, so names like "constructor" or "__proto__" are not mistaken for formats
+function isFormat(format) {
+    return typeof format === 'string' && Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+function createSerializer(format, meta = {}) {
+    return new FORMATS[format].Serializer(meta);
+}
+
+module.exports = { FORMATS, CSV_COLUMNS, isFormat, createSerializer, csvLine, toRow, escapeCsv };
@@ -0,0 +1,98 @@
+/**
+ * Exports - Filterable, streaming domain exports (CSV, JSON, NDJSON, XLSX) and background export jobs
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { FORMATS, CSV_COLUMNS, isFormat, createSerializer, csvLine, toRow, escapeCsv } = require('./formats');
+const ExportJobs = require('./exportJobs');
+
+const STATUSES = ['discovered', 'acquired'];
+const DATE_FIELDS = ['discoveredAt', 'acquiredAt'];
+
+function exportConfigFromEnv(env = process.env) {
+    return {
+        jobTtl: parseInt(env.EXPORT_JOB_TTL_MS) || 86400000,
+        maxQueuedJobs: parseInt(env.EXPORT_MAX_QUEUED_JOBS) || 10
+    };
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_EXPORT';
+    return error;
+}
+
+function parseDate(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw invalid(`${name} must be an ISO 8601 timestamp`);
+    }
+    return date.toISOString();
+}
+
+// Query string -> domain store filter. `bot` accepts a bot key or display name; records are stored by display name
+function parseExportFilters(query = {}, botManager) {
+    const filters = {};
+    if (query.bot) {
+        const bot = botManager.getBot(query.bot);
+        filters.bot = bot ? bot.name : query.bot;
+    }
+    if (query.status) {
+        if (!STATUSES.includes(query.status)) {
+            throw invalid(`Invalid status. Use one of: ${STATUSES.join(', ')}`);
+        }
+        filters.status = query.status;
+    }
+    if (query.type) filters.type = query.type;
+    if (query.registrar) filters.registrar = query.registrar;
+    if (query.dateField) {
+        if (!DATE_FIELDS.includes(query.dateField)) {
+            throw invalid(`Invalid dateField. Use one of: ${DATE_FIELDS.join(', ')}`);
+        }
+        filters.dateField = query.dateField;
+    }
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+    if (from) filters.from = from;
+    if (to) filters.to = to;
+    if (from && to && from > to) {
+        throw invalid('from must be earlier than to');
+    }
+    return filters;
+}
+
+function parseFormat(format) {
+    if (!isFormat(format)) {
+        throw invalid(`Invalid format. Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+// Streams matching records from the store through the serializer into `output` with backpressure
+async function writeExport(store, format, filters, output) {
+    const serializer = createSerializer(format, { filters, exportedAt: new Date().toISOString() });
+    await pipeline(Readable.from(store.entries(filters)), serializer, output);
+    return { rows: serializer.rows };
+}
+
+function exportFileName(format, date = new Date()) {
+    return `domjuan-domains-${date.toISOString().split('T')[0]}.${FORMATS[format].extension}`;
+}
+
+module.exports = {
+    FORMATS,
+    CSV_COLUMNS,
+    isFormat,
+    ExportJobs,
+    exportConfigFromEnv,
+    parseExportFilters,
+    parseFormat,
+    writeExport,
+    exportFileName,
+    createSerializer,
+    csvLine,
+    toRow,
+    escapeCsv
+};
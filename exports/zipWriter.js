@@ -0,0 +1,144 @@
+/**
+ * Zip Writer - Minimal streaming ZIP archive writer (deflate, no ZIP64) used to build XLSX files
+ * Streamed entries are written with a trailing data descriptor, so their size and CRC never have to be known up front
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer, crc = 0) {
+    crc = ~crc;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+// MS-DOS date/time, which is what ZIP stores
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+
+class ZipWriter {
+    // `push` receives each output Buffer in order
+    constructor(push) {
+        this.push = push;
+        this.offset = 0;
+        this.entries = [];
+        this.modified = dosDateTime(new Date());
+    }
+
+    write(buffer) {
+        this.push(buffer);
+        this.offset += buffer.length;
+    }
+
+    localHeader(name, flags, crc, compressedSize, size) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(METHOD_DEFLATE, 8);
+        header.writeUInt16LE(this.modified.time, 10);
+        header.writeUInt16LE(this.modified.date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressedSize, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+        return Buffer.concat([header, nameBuffer]);
+    }
+
+    // Small entries whose content is known up front
+    addFile(name, content) {
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const entry = { name, flags: FLAG_UTF8, crc: crc32(data), compressedSize: compressed.length, size: data.length, offset: this.offset };
+        this.write(this.localHeader(name, entry.flags, entry.crc, entry.compressedSize, entry.size));
+        this.write(compressed);
+        this.entries.push(entry);
+    }
+
+    // Returns { write(text), end() } for an entry whose content is produced incrementally; end() resolves once it is flushed
+    openFile(name) {
+        const entry = { name, flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, crc: 0, compressedSize: 0, size: 0, offset: this.offset };
+        this.write(this.localHeader(name, entry.flags, 0, 0, 0));
+
+        const deflate = zlib.createDeflateRaw();
+        deflate.on('data', (chunk) => {
+            entry.compressedSize += chunk.length;
+            this.write(chunk);
+        });
+        const finished = new Promise((resolve, reject) => {
+            deflate.on('end', resolve);
+            deflate.on('error', reject);
+        });
+
+        return {
+            // Resolves once zlib has taken the chunk, which is the backpressure signal for callers
+            write: (text) => new Promise((resolve, reject) => {
+                const data = Buffer.from(text, 'utf8');
+                entry.crc = crc32(data, entry.crc);
+                entry.size += data.length;
+                deflate.write(data, (error) => error ? reject(error) : resolve());
+            }),
+            end: async () => {
+                deflate.end();
+                await finished;
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                this.write(descriptor);
+                this.entries.push(entry);
+            }
+        };
+    }
+
+    finish() {
+        const start = this.offset;
+        this.entries.forEach(entry => {
+            const nameBuffer = Buffer.from(entry.name, 'utf8');
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(METHOD_DEFLATE, 10);
+            header.writeUInt16LE(this.modified.time, 12);
+            header.writeUInt16LE(this.modified.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(nameBuffer.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            this.write(Buffer.concat([header, nameBuffer]));
+        });
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        this.write(end);
+    }
+}
+
+module.exports = { ZipWriter, crc32 };
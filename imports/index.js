@@ -0,0 +1,240 @@
+/**
+ * Imports - Reads existing domain portfolios from CSV or JSON in the export column layout
+ * Rows are validated one by one, so a bad line is reported back instead of rejecting the whole upload
+ */
+
+const { CSV_COLUMNS } = require('../exports');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+// Owner recorded for rows that don't name a bot; its claim keeps the bots from bidding on domains already held
+const IMPORTED_BOT = 'Imported';
+const STATUSES = ['acquired', 'discovered'];
+const LABEL = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Column names are matched case-insensitively; JSON may also use the domain store's own field names
+const COLUMN_ALIASES = CSV_COLUMNS.reduce((aliases, column) => {
+    aliases[column.toLowerCase()] = column;
+    return aliases;
+}, { acquiredat: 'AcquisitionDate', price: 'Value' });
+
+function importConfigFromEnv(env = process.env) {
+    return {
+        maxBytes: Math.round((parseFloat(env.IMPORT_MAX_SIZE_MB) || 10) * 1024 * 1024)
+    };
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_IMPORT';
+    return error;
+}
+
+// RFC 4180, the inverse of csvLine: quoted fields may hold separators, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw invalid('CSV ends inside a quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function fromCsv(text) {
+    const lines = parseCsv(text);
+    const header = (lines.shift() || []).map(name => COLUMN_ALIASES[name.trim().toLowerCase()] || null);
+    if (!header.includes('Domain')) {
+        throw invalid(`CSV header must include a Domain column (expected ${CSV_COLUMNS.join(',')})`);
+    }
+
+    // Row numbers are spreadsheet rows: the header is row 1
+    return lines
+        .map((values, index) => ({ row: index + 2, values }))
+        .filter(({ values }) => values.some(value => value.trim() !== ''))
+        .map(({ row, values }) => {
+            const fields = {};
+            header.forEach((column, index) => {
+                if (column && fields[column] === undefined) fields[column] = values[index];
+            });
+            return { row, fields };
+        });
+}
+
+// Accepts an array of rows or the {"domains": [...]} wrapper that JSON exports produce
+function fromJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw invalid(`Invalid JSON: ${error.message}`);
+    }
+    const items = Array.isArray(data) ? data : (data && Array.isArray(data.domains) ? data.domains : null);
+    if (!items) {
+        throw invalid('JSON must be an array of domains or an object with a "domains" array');
+    }
+
+    return items.map((item, index) => {
+        const fields = {};
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            Object.entries(item).forEach(([key, value]) => {
+                const column = COLUMN_ALIASES[key.toLowerCase()];
+                if (column && key.toLowerCase() !== 'price' && (fields[column] === undefined || fields[column] === null)) fields[column] = value;
+            });
+            // value wins over price, as it does in exports
+            if ((fields.Value === undefined || fields.Value === null) && item.price !== undefined) fields.Value = item.price;
+        }
+        return { row: index + 1, fields };
+    });
+}
+
+function detectFormat(text, contentType = '') {
+    if (/json/i.test(contentType)) return 'json';
+    if (/csv/i.test(contentType)) return 'csv';
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+// Request body -> { format, rows: [{ row, fields }] } with fields keyed by CSV column name
+function parseImport(text, { format = null, contentType } = {}) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw invalid('Import file is empty');
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+        throw invalid(`Invalid format. Use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    const resolved = format || detectFormat(text, contentType);
+    return { format: resolved, rows: resolved === 'json' ? fromJson(text) : fromCsv(text) };
+}
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function normalizeDomain(value) {
+    return text(value).toLowerCase().replace(/\.$/, '');
+}
+
+// One row -> { record } or { errors }. `resolveBot(value)` returns the bot's display name, or null when unknown
+function normalizeRow({ row, fields }, resolveBot) {
+    const errors = [];
+    const record = { row, domain: normalizeDomain(fields.Domain) };
+
+    if (!record.domain) {
+        errors.push('Domain is required');
+    } else if (record.domain.length > 253 || !LABEL.test(record.domain)) {
+        errors.push(`Invalid domain "${text(fields.Domain)}"`);
+    }
+
+    const bot = text(fields.Bot);
+    if (bot) {
+        record.bot = resolveBot(bot);
+        if (!record.bot) errors.push(`Unknown bot "${bot}"`);
+    }
+
+    const status = text(fields.Status).toLowerCase() || 'acquired';
+    if (STATUSES.includes(status)) {
+        record.status = status;
+    } else {
+        errors.push(`Invalid status "${text(fields.Status)}" (use Acquired or Discovered)`);
+    }
+
+    const acquiredAt = text(fields.AcquisitionDate);
+    if (acquiredAt && record.status === 'acquired') {
+        const date = new Date(acquiredAt);
+        if (isNaN(date.getTime())) {
+            errors.push(`Invalid AcquisitionDate "${acquiredAt}"`);
+        } else {
+            record.acquiredAt = date.toISOString();
+        }
+    }
+
+    const value = typeof fields.Value === 'number' ? String(fields.Value) : text(fields.Value).replace(/[$,\s]/g, '');
+    if (value) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push(`Invalid Value "${text(fields.Value)}"`);
+        } else {
+            record.value = number;
+        }
+    }
+
+    if (text(fields.Type)) record.type = text(fields.Type);
+    if (text(fields.Registrar)) record.registrar = text(fields.Registrar);
+
+    return errors.length > 0 ? { errors } : { record };
+}
+
+// Splits parsed rows into normalized records and per-row errors; a domain listed twice is an error on the later row
+function validateImportRows(rows, resolveBot) {
+    const records = [];
+    const errors = [];
+    const seen = new Map();
+
+    rows.forEach(row => {
+        const result = normalizeRow(row, resolveBot);
+        const domain = result.record ? result.record.domain : normalizeDomain(row.fields.Domain);
+        if (result.errors) {
+            errors.push({ row: row.row, domain, errors: result.errors });
+        } else if (seen.has(domain)) {
+            errors.push({ row: row.row, domain, errors: [`Duplicate of row ${seen.get(domain)}`] });
+        } else {
+            seen.set(domain, row.row);
+            records.push(result.record);
+        }
+    });
+
+    return { records, errors };
+}
+
+// Bots are named by key or display name, case-insensitively. IMPORTED_BOT is accepted so exports re-import cleanly
+function botResolver(botManager) {
+    return (value) => {
+        if (value.toLowerCase() === IMPORTED_BOT.toLowerCase()) return IMPORTED_BOT;
+        const bot = botManager.getBot(value)
+            || Object.values(botManager.bots).find(candidate => candidate.name.toLowerCase() === value.toLowerCase());
+        return bot ? bot.name : null;
+    };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORTED_BOT,
+    importConfigFromEnv,
+    parseCsv,
+    parseImport,
+    normalizeRow,
+    validateImportRows,
+    botResolver
+};
@@ -0,0 +1,189 @@
+/**
+ * Logging - Leveled, structured logger with per-bot/per-component child loggers and request correlation IDs
+ * Entries go to the console (pretty or JSON) and as JSON lines to a rotating file in logs/, which query() reads back
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+const { isMainThread } = require('worker_threads');
+const RotatingFile = require('./rotatingFile');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Carries the request ID through everything a request triggers, async work included
+const requestContext = new AsyncLocalStorage();
+
+function loggerConfigFromEnv(env = process.env) {
+    return {
+        level: LEVELS[env.LOG_LEVEL] !== undefined ? env.LOG_LEVEL : 'info',
+        format: env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+        toFile: env.LOG_TO_FILE !== 'false',
+        dir: env.LOG_DIR || './logs',
+        fileName: env.LOG_FILE || 'app.log',
+        maxBytes: (parseFloat(env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+        rotateEvery: env.LOG_ROTATE || 'daily',
+        maxFiles: parseInt(env.LOG_MAX_FILES) || 14
+    };
+}
+
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, name: value.name, code: value.code, stack: value.stack };
+    }
+    return value;
+}
+
+class Logger {
+    constructor(config = loggerConfigFromEnv(), bindings = {}, root = null) {
+        this.root = root || this;
+        this.bindings = bindings;
+        if (!root) {
+            this.config = config;
+            this.threshold = LEVELS[config.level];
+            this.transport = null;
+            // Worker threads forward entries to the main thread instead of writing the file themselves
+            this.file = config.toFile && isMainThread ? new RotatingFile(config) : null;
+        }
+    }
+
+    child(bindings = {}) {
+        return new Logger(null, { ...this.bindings, ...bindings }, this.root);
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] <= this.root.threshold;
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        if (fields instanceof Error) fields = { error: fields };
+
+        const context = requestContext.getStore();
+        const entry = { time: new Date().toISOString(), level, msg };
+        if (context && context.requestId) entry.requestId = context.requestId;
+        Object.assign(entry, this.bindings);
+        Object.keys(fields).forEach(key => {
+            if (fields[key] !== undefined) entry[key] = serializeValue(fields[key]);
+        });
+
+        this.root.record(entry);
+    }
+
+    error(msg, fields) { this.log('error', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    debug(msg, fields) { this.log('debug', msg, fields); }
+
+    // Takes a finished entry, e.g. one relayed from a bot worker
+    record(entry) {
+        if (this.transport) {
+            this.transport(entry);
+            return;
+        }
+
+        const stream = LEVELS[entry.level] <= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(this.config.format === 'json' ? JSON.stringify(entry) + '\n' : formatPretty(entry));
+        if (this.file) {
+            this.file.write(JSON.stringify(entry) + '\n');
+        }
+    }
+
+    setTransport(transport) {
+        this.root.transport = transport;
+    }
+
+    flush() {
+        return this.root.file ? this.root.file.flush() : Promise.resolve();
+    }
+
+    // Newest first across the live and rotated files; level means "this level or more severe"
+    async query({ level = null, bot = null, component = null, requestId = null, since = null, until = null, search = null, limit = 100 } = {}) {
+        const file = this.root.file;
+        if (!file) return { entries: [], truncated: false };
+        await file.flush();
+
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+        const maxLevel = level && LEVELS[level] !== undefined ? LEVELS[level] : null;
+        const needle = search ? String(search).toLowerCase() : null;
+        const entries = [];
+
+        for (const filePath of await file.files()) {
+            let content;
+            try {
+                content = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            const lines = content.split('\n');
+            for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue;
+                }
+
+                const time = new Date(entry.time).getTime();
+                if (untilTime !== null && time > untilTime) continue;
+                // Files are chronological, so once past `since` everything older can be skipped
+                if (sinceTime !== null && time < sinceTime) return { entries, truncated: false };
+                if (maxLevel !== null && LEVELS[entry.level] > maxLevel) continue;
+                if (bot && entry.bot !== bot) continue;
+                if (component && entry.component !== component) continue;
+                if (requestId && entry.requestId !== requestId) continue;
+                if (needle && !String(entry.msg).toLowerCase().includes(needle)) continue;
+                entries.push(entry);
+            }
+            if (entries.length >= limit) return { entries, truncated: true };
+        }
+
+        return { entries, truncated: false };
+    }
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, component, bot, requestId, ...rest } = entry;
+    const scope = [component, bot, requestId && `req:${requestId.slice(0, 8)}`].filter(Boolean).join(' ');
+    const extra = Object.keys(rest).length > 0 ? ' ' + JSON.stringify(rest, (key, value) => key === 'stack' ? undefined : value) : '';
+    const stack = rest.error && rest.error.stack && LEVELS[level] <= LEVELS.warn ? `\n${rest.error.stack}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${scope ? `[${scope}] ` : ''}${msg}${extra}${stack}\n`;
+}
+
+// Express middleware: assigns (or accepts a valid incoming) X-Request-Id and logs each finished request
+function requestLogger(logger) {
+    const log = logger.child({ component: 'http' });
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            // Successful requests are debug-level so dashboard polling doesn't flood the log
+            const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'info' : 'debug');
+            log.log(level, `${req.method} ${req.originalUrl} ${res.statusCode}`, {
+                requestId,
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                user: req.user ? req.user.username : undefined,
+                ip: req.ip
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+// Shared root logger; modules take a child with their component name
+const logger = new Logger();
+
+module.exports = { logger, Logger, LEVELS, loggerConfigFromEnv, requestLogger, requestContext };
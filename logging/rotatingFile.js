@@ -0,0 +1,119 @@
+/**
+ * Rotating File - Append-only log file that rolls over by size and by day/hour
+ * Rotated files are renamed app-<timestamp>.log next to the live file; only the newest maxFiles are kept
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const PERIODS = {
+    daily: 10, // YYYY-MM-DD
+    hourly: 13 // YYYY-MM-DDTHH
+};
+
+class RotatingFile {
+    constructor(config = {}) {
+        this.dir = config.dir || './logs';
+        this.fileName = config.fileName || 'app.log';
+        this.filePath = path.join(this.dir, this.fileName);
+        this.maxBytes = config.maxBytes || 10 * 1024 * 1024;
+        this.rotateEvery = PERIODS[config.rotateEvery] ? config.rotateEvery : null;
+        this.maxFiles = config.maxFiles || 14;
+        this.size = null;
+        this.period = null;
+        this.pending = [];
+        this.flushScheduled = false;
+        this.writeQueue = Promise.resolve();
+
+        const ext = path.extname(this.fileName);
+        this.baseName = path.basename(this.fileName, ext);
+        this.ext = ext;
+    }
+
+    periodOf(date) {
+        return this.rotateEvery ? date.toISOString().slice(0, PERIODS[this.rotateEvery]) : null;
+    }
+
+    // Lines are batched per tick so a burst of log calls becomes one append
+    write(line) {
+        this.pending.push(line);
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        if (this.pending.length === 0) return this.writeQueue;
+
+        const chunk = this.pending.join('');
+        this.pending = [];
+        this.writeQueue = this.writeQueue
+            .then(() => this.append(chunk))
+            .catch(error => {
+                process.stderr.write(`Failed to write log file ${this.filePath}: ${error.message}\n`);
+            });
+        return this.writeQueue;
+    }
+
+    async open() {
+        if (this.size !== null) return;
+
+        await fs.mkdir(this.dir, { recursive: true });
+        try {
+            const stat = await fs.stat(this.filePath);
+            this.size = stat.size;
+            this.period = this.periodOf(stat.mtime);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.size = 0;
+            this.period = this.periodOf(new Date());
+        }
+    }
+
+    async append(chunk) {
+        await this.open();
+
+        const bytes = Buffer.byteLength(chunk);
+        const period = this.periodOf(new Date());
+        if (this.size > 0 && (this.size + bytes > this.maxBytes || period !== this.period)) {
+            await this.rotate();
+        }
+
+        await fs.appendFile(this.filePath, chunk);
+        this.size += bytes;
+        this.period = period;
+    }
+
+    async rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.rename(this.filePath, path.join(this.dir, `${this.baseName}-${stamp}${this.ext}`));
+        this.size = 0;
+
+        const rotated = await this.rotatedFiles();
+        await Promise.all(rotated.slice(this.maxFiles).map(file => fs.unlink(file).catch(() => {})));
+    }
+
+    // Newest first; rotation timestamps sort lexically
+    async rotatedFiles() {
+        const prefix = `${this.baseName}-`;
+        try {
+            const files = await fs.readdir(this.dir);
+            return files
+                .filter(file => file.startsWith(prefix) && file.endsWith(this.ext))
+                .sort()
+                .reverse()
+                .map(file => path.join(this.dir, file));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async files() {
+        return [this.filePath, ...(await this.rotatedFiles())];
+    }
+}
+
+module.exports = RotatingFile;
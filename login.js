@@ -0,0 +1,22 @@
+/**
+ * Login page - Carries the post-login redirect and shows why the last attempt failed
+ */
+
+(() => {
+    const params = new URLSearchParams(window.location.search);
+    const messages = {
+        invalid: 'Invalid username or password.',
+        locked: 'Too many failed attempts. Try again in a few minutes.'
+    };
+
+    if (params.get('next')) {
+        document.getElementById('next').value = params.get('next');
+    }
+
+    const error = messages[params.get('error')];
+    if (error) {
+        const element = document.getElementById('loginError');
+        element.textContent = error;
+        element.hidden = false;
+    }
+})();
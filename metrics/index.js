@@ -0,0 +1,288 @@
+/**
+ * Metrics - Prometheus metrics for bots, spend, payments, HTTP traffic, Socket.IO and the Node process
+ * Event-driven counters are updated as things happen; everything else is read from live state at scrape time
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { MetricsRegistry, Counter, Gauge, Histogram, CONTENT_TYPE } = require('./registry');
+
+const PREFIX = 'domjuan_';
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+class AppMetrics {
+    constructor({ botManager, io = null } = {}) {
+        this.botManager = botManager;
+        this.io = io;
+        this.registry = new MetricsRegistry();
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+        this.eventLoopDelay.enable();
+
+        this.defineBotMetrics();
+        this.defineSpendMetrics();
+        this.definePaymentMetrics();
+        this.defineHttpMetrics();
+        this.defineProcessMetrics();
+
+        if (botManager) {
+            this.observeBotManager(botManager);
+        }
+    }
+
+    defineBotMetrics() {
+        const bots = () => Object.values(this.botManager.bots);
+
+        this.registry.counter({
+            name: `${PREFIX}bot_domains_scanned_total`,
+            help: 'Domains checked by each bot since it was loaded',
+            labelNames: ['bot'],
+            collect: (metric) => bots().forEach(bot => metric.set({ bot: bot.key }, bot.stats.domainsScanned || 0))
+        });
+        this.discoveries = this.registry.counter({
+            name: `${PREFIX}bot_discoveries_total`,
+            help: 'Discoverable domains found, by bot and discovery type',
+            labelNames: ['bot', 'type']
+        });
+        this.acquisitions = this.registry.counter({
+            name: `${PREFIX}bot_acquisitions_total`,
+            help: 'Acquisition attempts by bot and outcome (success, failed, skipped)',
+            labelNames: ['bot', 'outcome']
+        });
+        this.errors = this.registry.counter({
+            name: `${PREFIX}bot_errors_total`,
+            help: 'Bot errors by severity (error, critical)',
+            labelNames: ['bot', 'severity']
+        });
+        this.cycleDuration = this.registry.histogram({
+            name: `${PREFIX}bot_search_cycle_duration_seconds`,
+            help: 'Duration of bot search cycles',
+            labelNames: ['bot', 'result'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+        });
+        this.acquisitionDuration = this.registry.histogram({
+            name: `${PREFIX}bot_acquisition_duration_seconds`,
+            help: 'Duration of acquisition attempts that reached the registrar',
+            labelNames: ['bot', 'outcome'],
+            buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+        });
+        this.registry.gauge({
+            name: `${PREFIX}bot_up`,
+            help: 'Whether the bot is running (1), paused (0.5) or stopped (0)',
+            labelNames: ['bot'],
+            collect: (metric) => bots().forEach(bot => metric.set({ bot: bot.key }, bot.isActive ? (bot.isPaused ? 0.5 : 1) : 0))
+        });
+        this.registry.gauge({
+            name: `${PREFIX}bot_acquisitions_in_flight`,
+            help: 'Acquisitions currently in progress per bot',
+            labelNames: ['bot'],
+            collect: (metric) => bots().forEach(bot => metric.set({ bot: bot.key }, bot.getStatus().acquisitionsInFlight || 0))
+        });
+        this.registry.gauge({
+            name: `${PREFIX}portfolio_domains`,
+            help: 'Domains in the portfolio by status',
+            labelNames: ['status'],
+            collect: (metric) => {
+                const portfolio = this.botManager.store.getStats();
+                metric.set({ status: 'discovered' }, portfolio.discovered);
+                metric.set({ status: 'acquired' }, portfolio.acquired);
+            }
+        });
+        this.registry.gauge({
+            name: `${PREFIX}approvals`,
+            help: 'Approval queue items by status',
+            labelNames: ['status'],
+            collect: (metric) => {
+                const stats = this.botManager.approvals.getStats();
+                ['pending', 'approved', 'rejected', 'expired'].forEach(status => metric.set({ status }, stats[status]));
+            }
+        });
+        this.registry.gauge({
+            name: `${PREFIX}rate_limit_queued_calls`,
+            help: 'Calls waiting for a rate limit token',
+            labelNames: ['provider', 'operation'],
+            collect: (metric) => this.eachBucket((labels, bucket) => metric.set(labels, bucket.queued))
+        });
+        this.registry.counter({
+            name: `${PREFIX}rate_limit_throttled_total`,
+            help: 'Calls that had to wait for a rate limit token',
+            labelNames: ['provider', 'operation'],
+            collect: (metric) => this.eachBucket((labels, bucket) => metric.set(labels, bucket.throttled))
+        });
+    }
+
+    eachBucket(fn) {
+        const status = this.botManager.rateLimiter.getStatus();
+        Object.keys(status).forEach(provider => {
+            Object.keys(status[provider]).forEach(operation => fn({ provider, operation }, status[provider][operation]));
+        });
+    }
+
+    defineSpendMetrics() {
+        this.registry.counter({
+            name: `${PREFIX}budget_spent_total`,
+            help: 'Committed registrar spend per bot',
+            labelNames: ['bot'],
+            collect: (metric) => {
+                metric.reset();
+                this.botManager.budget.ledger.forEach(entry => metric.inc({ bot: entry.bot }, entry.amount));
+            }
+        });
+        this.registry.gauge({
+            name: `${PREFIX}budget_spent`,
+            help: 'Spend in the current budget period, including reservations',
+            labelNames: ['period'],
+            collect: (metric) => {
+                const status = this.botManager.budget.getStatus();
+                metric.set({ period: 'day' }, status.daily.spent);
+                metric.set({ period: 'month' }, status.monthly.spent);
+            }
+        });
+        this.registry.gauge({
+            name: `${PREFIX}budget_limit`,
+            help: 'Configured spend limit per budget period (absent when unlimited)',
+            labelNames: ['period'],
+            collect: (metric) => {
+                metric.reset();
+                const { limits } = this.botManager.budget.getStatus();
+                if (limits.daily !== null) metric.set({ period: 'day' }, limits.daily);
+                if (limits.monthly !== null) metric.set({ period: 'month' }, limits.monthly);
+            }
+        });
+        this.registry.gauge({
+            name: `${PREFIX}budget_reserved`,
+            help: 'Spend reserved by acquisitions in progress',
+            collect: (metric) => metric.set({}, this.botManager.budget.getStatus().reserved)
+        });
+    }
+
+    definePaymentMetrics() {
+        this.payments = this.registry.counter({
+            name: `${PREFIX}stripe_payments_total`,
+            help: 'Stripe payment intents by service and outcome (created, invalid, error, succeeded, failed)',
+            labelNames: ['service', 'outcome']
+        });
+        this.webhookEvents = this.registry.counter({
+            name: `${PREFIX}stripe_webhook_events_total`,
+            help: 'Stripe webhook deliveries by event type (invalid_signature when verification failed)',
+            labelNames: ['type']
+        });
+    }
+
+    defineHttpMetrics() {
+        this.httpDuration = this.registry.histogram({
+            name: `${PREFIX}http_request_duration_seconds`,
+            help: 'HTTP request duration by method, route and status code',
+            labelNames: ['method', 'route', 'status'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        });
+        this.registry.gauge({
+            name: `${PREFIX}socketio_connected_clients`,
+            help: 'Dashboard clients connected over Socket.IO',
+            collect: (metric) => metric.set({}, this.io ? this.io.engine.clientsCount : 0)
+        });
+    }
+
+    defineProcessMetrics() {
+        this.registry.counter({
+            name: 'process_cpu_seconds_total',
+            help: 'Total user and system CPU time spent in seconds',
+            labelNames: ['mode'],
+            collect: (metric) => {
+                const usage = process.cpuUsage();
+                metric.set({ mode: 'user' }, usage.user / 1e6);
+                metric.set({ mode: 'system' }, usage.system / 1e6);
+            }
+        });
+        this.registry.gauge({
+            name: 'process_resident_memory_bytes',
+            help: 'Resident memory size in bytes',
+            collect: (metric) => metric.set({}, process.memoryUsage().rss)
+        });
+        this.registry.gauge({
+            name: 'nodejs_heap_bytes',
+            help: 'V8 heap size in bytes',
+            labelNames: ['type'],
+            collect: (metric) => {
+                const memory = process.memoryUsage();
+                metric.set({ type: 'total' }, memory.heapTotal);
+                metric.set({ type: 'used' }, memory.heapUsed);
+                metric.set({ type: 'external' }, memory.external);
+            }
+        });
+        this.registry.gauge({
+            name: 'nodejs_eventloop_delay_seconds',
+            help: 'Event loop delay since the previous scrape',
+            labelNames: ['quantile'],
+            collect: (metric) => {
+                // The sampler fires every EVENT_LOOP_RESOLUTION_MS, so anything beyond that is delay
+                const delay = (nanos) => Math.max(0, nanos / 1e6 - EVENT_LOOP_RESOLUTION_MS) / 1000;
+                metric.set({ quantile: '0.5' }, delay(this.eventLoopDelay.percentile(50)));
+                metric.set({ quantile: '0.99' }, delay(this.eventLoopDelay.percentile(99)));
+                metric.set({ quantile: '1' }, delay(this.eventLoopDelay.max));
+                this.eventLoopDelay.reset();
+            }
+        });
+        const startTime = Math.round(Date.now() / 1000 - process.uptime());
+        this.registry.gauge({
+            name: 'process_start_time_seconds',
+            help: 'Start time of the process since the Unix epoch in seconds',
+            collect: (metric) => metric.set({}, startTime)
+        });
+        this.registry.gauge({
+            name: 'nodejs_version_info',
+            help: 'Node.js version',
+            labelNames: ['version'],
+            collect: (metric) => metric.set({ version: process.version }, 1)
+        });
+    }
+
+    observeBotManager(botManager) {
+        const keyOf = (name) => botManager.getBotKeys()[name] || name;
+
+        botManager.on('discovery', (data) => {
+            this.discoveries.inc({ bot: keyOf(data.bot), type: data.type });
+        });
+        botManager.on('acquisition', (data) => {
+            const outcome = data.success ? 'success' : (data.skipped ? 'skipped' : 'failed');
+            this.acquisitions.inc({ bot: keyOf(data.bot), outcome });
+            if (typeof data.durationMs === 'number' && !data.skipped) {
+                this.acquisitionDuration.observe({ bot: keyOf(data.bot), outcome }, data.durationMs / 1000);
+            }
+        });
+        botManager.on('error', (data) => {
+            this.errors.inc({ bot: keyOf(data.bot), severity: data.status === 'critical' ? 'critical' : 'error' });
+        });
+        botManager.on('searchCycle', (data) => {
+            this.cycleDuration.observe({ bot: keyOf(data.bot), result: data.success ? 'success' : 'error' }, data.durationMs / 1000);
+        });
+    }
+
+    // Routes are labelled by their Express pattern (/api/bots/:botName/:action), never the raw URL
+    middleware() {
+        return (req, res, next) => {
+            const startedAt = process.hrtime.bigint();
+            res.on('finish', () => {
+                let route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+                if (!route) {
+                    route = res.statusCode < 400 ? 'static' : 'unmatched';
+                }
+                const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                this.httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+            });
+            next();
+        };
+    }
+
+    recordPayment(service, outcome) {
+        this.payments.inc({ service: service || 'unknown', outcome });
+    }
+
+    recordWebhookEvent(type) {
+        this.webhookEvents.inc({ type });
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = { AppMetrics, MetricsRegistry, Counter, Gauge, Histogram, CONTENT_TYPE };
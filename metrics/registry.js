@@ -0,0 +1,165 @@
+/**
+ * Metrics Registry - Counters, gauges and histograms rendered in the Prometheus text exposition format
+ * Metrics with a collect() callback are refreshed from live state on every scrape
+ */
+
+const logger = require('../logging').logger.child({ component: 'metrics' });
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [], collect = null }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    // Only declared labels are kept, always in declaration order, so the same set maps to the same series
+    labelsFor(labels = {}) {
+        return this.labelNames.reduce((picked, name) => {
+            picked[name] = labels[name] !== undefined && labels[name] !== null ? labels[name] : '';
+            return picked;
+        }, {});
+    }
+
+    seriesFor(labels, create) {
+        const picked = this.labelsFor(labels);
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => {
+            lines.push(...this.renderSeries(series));
+        });
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    // For counters mirrored from running totals kept elsewhere (e.g. bot stats)
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = (options.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]).slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+        );
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    render() {
+        const blocks = [];
+        this.metrics.forEach(metric => {
+            if (metric.collect) {
+                try {
+                    metric.collect(metric);
+                } catch (error) {
+                    logger.error(`Failed to collect metric ${metric.name}`, { error });
+                }
+            }
+            blocks.push(metric.render());
+        });
+        return blocks.join('\n') + '\n';
+    }
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, CONTENT_TYPE };
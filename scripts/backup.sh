@@ -150,14 +150,14 @@ export_current_data() {
         log "Exporting current data via API..."
         
         # Export JSON
-        if curl -s -f "$api_url/api/export/json" -o "$export_dir/current_export.json"; then
+        if curl -s -f -H "X-API-Key: ${API_KEY:-}" "$api_url/api/export/json" -o "$export_dir/current_export.json"; then
             log "JSON export completed"
         else
             log "Warning: JSON export failed"
         fi
         
         # Export CSV
-        if curl -s -f "$api_url/api/export/csv" -o "$export_dir/current_export.csv"; then
+        if curl -s -f -H "X-API-Key: ${API_KEY:-}" "$api_url/api/export/csv" -o "$export_dir/current_export.csv"; then
             log "CSV export completed"
         else
             log "Warning: CSV export failed"
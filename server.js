@@ -1,3 +1,5 @@
+// Load .env before anything else reads process.env (the root logger reads its settings at require time)
+require('dotenv').config();
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_...');
 const cors = require('cors');
@@ -7,12 +9,17 @@ const http = require('http');
 const socketIo = require('socket.io');
 const fs = require('fs').promises;
 const BotManager = require('./bots/botManager');
-require('dotenv').config();
+const { Authenticator, AuditLog, authConfigFromEnv, can } = require('./auth');
+const { AppMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { logger: rootLogger, requestLogger, LEVELS } = require('./logging');
+const { FORMATS: EXPORT_FORMATS, ExportJobs, exportConfigFromEnv, parseExportFilters, parseFormat, writeExport, exportFileName } = require('./exports');
+const { importConfigFromEnv, parseImport, validateImportRows, botResolver } = require('./imports');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 const PORT = process.env.PORT || 3000;
+const logger = rootLogger.child({ component: 'server' });
 
 // Ensure required directories exist
 async function ensureDirectories() {
@@ -21,18 +28,34 @@ async function ensureDirectories() {
         try {
             await fs.mkdir(dir, { recursive: true });
         } catch (error) {
-            console.warn(`Could not create directory ${dir}:`, error.message);
+            logger.warn(`Could not create directory ${dir}`, { error });
         }
     }
 }
 
 // Initialize directories
-ensureDirectories().catch(console.error);
+ensureDirectories().catch(error => logger.error('Failed to create directories', { error }));
 
 // Initialize bot manager
 const botManager = new BotManager();
 
+// Dashboard accounts, sessions and API keys
+const auth = new Authenticator(authConfigFromEnv());
+auth.load().catch(error => logger.error('Failed to load user accounts', { error }));
+const audit = new AuditLog({ dataDir: botManager.config.dataDir });
+const metrics = new AppMetrics({ botManager, io });
+const exportJobs = new ExportJobs({
+    dataDir: botManager.config.dataDir,
+    ...exportConfigFromEnv(),
+    run: (format, filters, output) => writeExport(botManager.store, format, filters, output)
+});
+exportJobs.load()
+    .then(() => exportJobs.startSweepTimer())
+    .catch(error => logger.error('Failed to prepare the export jobs directory', { error }));
+
 // Middleware
+app.use(metrics.middleware());
+app.use(requestLogger(rootLogger));
 app.use(helmet({
     contentSecurityPolicy: {
         directives: {
@@ -46,8 +69,27 @@ app.use(helmet({
     }
 }));
 app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
+// Once shutdown starts only reads are served; new work is refused so in-flight acquisitions can drain
+app.use((req, res, next) => {
+    if (botManager.isShuttingDown && req.method !== 'GET' && req.method !== 'HEAD') {
+        res.set('Connection', 'close');
+        return res.status(503).json({ error: 'Server is shutting down' });
+    }
+    next();
+});
+// Imports read their own body once the caller is authorized, with a larger size limit
+const unlessImport = (parser) => (req, res, next) => (req.path === '/api/import' ? next() : parser(req, res, next));
+app.use(unlessImport(express.json()));
+app.use(unlessImport(express.urlencoded({ extended: false })));
+// Gate everything below (static files included) except the public routes listed in auth/
+app.use(auth.middleware());
+// Only the front-end files are served; the rest of the repo root (data/, logs/, .env) must never be reachable
+const STATIC_FILES = ['index.html', 'styles.css', 'script.js', 'login.html', 'login.js', 'dashboard.html', 'dashboard.css', 'dashboard.js'];
+STATIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
 
 // Service pricing configuration
 const SERVICES = {
@@ -71,6 +113,9 @@ const SERVICES = {
 // Health check endpoint for monitoring and Docker
 app.get('/health', async (req, res) => {
     try {
+        if (botManager.isShuttingDown) {
+            return res.status(503).json({ status: 'shutting down', timestamp: new Date().toISOString() });
+        }
         const healthStatus = await botManager.getHealthStatus();
         res.status(healthStatus.status === 'healthy' ? 200 : 503).json({
             status: healthStatus.status,
@@ -100,7 +145,7 @@ app.get('/api/status', async (req, res) => {
 });
 
 // Bot control endpoints
-app.post('/api/restart-bots', (req, res) => {
+app.post('/api/restart-bots', audit.middleware('bots.restartAll'), auth.authorize('bots:control'), (req, res) => {
     try {
         botManager.stopAllBots();
         setTimeout(() => {
@@ -119,7 +164,7 @@ app.post('/api/restart-bots', (req, res) => {
     }
 });
 
-app.post('/api/start-bots', (req, res) => {
+app.post('/api/start-bots', audit.middleware('bots.startAll'), auth.authorize('bots:control'), (req, res) => {
     try {
         botManager.startAllBots();
         res.json({ 
@@ -135,7 +180,7 @@ app.post('/api/start-bots', (req, res) => {
     }
 });
 
-app.post('/api/stop-bots', (req, res) => {
+app.post('/api/stop-bots', audit.middleware('bots.stopAll'), auth.authorize('bots:control'), (req, res) => {
     try {
         botManager.stopAllBots();
         res.json({ 
@@ -151,22 +196,120 @@ app.post('/api/stop-bots', (req, res) => {
     }
 });
 
-// Export endpoints for automated data export
-app.get('/api/export/json', async (req, res) => {
+// Domain exports: ?format=csv|json|ndjson|xlsx plus bot, type, status, registrar, from, to and dateField filters.
+// The response is streamed, so large portfolios are never built up in memory
+async function streamExport(req, res, format) {
+    let filters;
     try {
-        const { jsonPath } = await botManager.exportAllData();
-        res.download(jsonPath, `domjuan-export-${new Date().toISOString().split('T')[0]}.json`);
+        parseFormat(format);
+        filters = parseExportFilters(req.query, botManager);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.attachment(exportFileName(format));
+    res.type(EXPORT_FORMATS[format].contentType);
+    try {
+        await writeExport(botManager.store, format, filters, res);
+    } catch (error) {
+        // Headers are already sent, so the client just sees a truncated download
+        logger.warn('Export stream aborted', { error, format });
     }
+}
+
+// streamExport is async; anything it throws must end this response rather than become an unhandled rejection
+function handleExportFailure(res, format) {
+    return (error) => {
+        logger.error('Export failed', { error, format });
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Export failed' });
+        }
+    };
+}
+
+app.get('/api/export', audit.middleware((req) => `export.${req.query.format || 'csv'}`), auth.authorize('exports:read'), (req, res) => {
+    const format = req.query.format || 'csv';
+    streamExport(req, res, format).catch(handleExportFailure(res, format));
+});
+
+// Background exports for very large sets; progress is also pushed to dashboards as `exportJob` events
+app.get('/api/export/jobs', auth.authorize('exports:read'), (req, res) => {
+    res.json({ jobs: exportJobs.list() });
 });
 
-app.get('/api/export/csv', async (req, res) => {
+app.post('/api/export/jobs', audit.middleware('export.job'), auth.authorize('exports:read'), (req, res) => {
     try {
-        const { csvPath } = await botManager.exportAllData();
-        res.download(csvPath, `domjuan-domains-${new Date().toISOString().split('T')[0]}.csv`);
+        const options = { ...req.query, ...(req.body || {}) };
+        const format = parseFormat(options.format || 'csv');
+        const filters = parseExportFilters(options, botManager);
+        const job = exportJobs.create({ format, filters, requestedBy: req.user ? req.user.username : null });
+        res.status(202).location(`/api/export/jobs/${job.id}`).json(job);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        const status = error.code === 'INVALID_EXPORT' ? 400 : (error.code === 'TOO_MANY_JOBS' ? 429 : 500);
+        res.status(status).json({ error: error.message });
+    }
+});
+
+app.get('/api/export/jobs/:id', auth.authorize('exports:read'), (req, res) => {
+    const job = exportJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Export job not found' });
+    }
+    res.json(job);
+});
+
+app.get('/api/export/jobs/:id/download', audit.middleware('export.download'), auth.authorize('exports:read'), (req, res) => {
+    const job = exportJobs.jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Export job not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Export job is ${job.status}` });
+    }
+    res.type(EXPORT_FORMATS[job.format].contentType);
+    res.download(exportJobs.filePath(job), exportFileName(job.format, new Date(job.createdAt)));
+});
+
+// Older clients (backup.sh, crontab.example) use the format as a path segment
+app.get(`/api/export/:format(${Object.keys(EXPORT_FORMATS).join('|')})`, audit.middleware((req) => `export.${req.params.format}`), auth.authorize('exports:read'), (req, res) => {
+    streamExport(req, res, req.params.format).catch(handleExportFailure(res, req.params.format));
+});
+
+// Domain import: CSV or JSON in the export layout, sent as the raw request body
+const IMPORT_REPORT_LIMIT = 1000;
+const importBody = express.text({ type: () => true, limit: importConfigFromEnv().maxBytes });
+
+app.post('/api/import', audit.middleware('domains.import'), auth.authorize('domains:import'), (req, res, next) => {
+    importBody(req, res, (error) => {
+        if (error) {
+            return res.status(error.status || 400).json({ error: error.type === 'entity.too.large' ? 'Import file is too large' : error.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const { format, rows } = parseImport(req.body, { format: req.query.format, contentType: req.get('Content-Type') });
+        const { records, errors } = validateImportRows(rows, botResolver(botManager));
+        const result = await botManager.importDomains(records, { dryRun });
+        res.json({
+            dryRun,
+            format,
+            summary: {
+                rows: rows.length,
+                imported: result.imported,
+                updated: result.updated,
+                skipped: result.skipped.length,
+                failed: errors.length
+            },
+            errors: errors.slice(0, IMPORT_REPORT_LIMIT),
+            skipped: result.skipped.slice(0, IMPORT_REPORT_LIMIT),
+            truncated: errors.length > IMPORT_REPORT_LIMIT || result.skipped.length > IMPORT_REPORT_LIMIT
+        });
+    } catch (error) {
+        res.status(error.code === 'INVALID_IMPORT' ? 400 : 500).json({ error: error.message });
     }
 });
 
@@ -175,6 +318,100 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Login flow
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+app.post('/login', audit.middleware('auth.login'), auth.login());
+app.post('/logout', audit.middleware('auth.logout'), auth.logout());
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: auth.describe(req.user) });
+});
+
+// Audit trail of control-plane actions
+app.get('/api/audit', auth.authorize('audit:read'), async (req, res) => {
+    try {
+        const { actor, action, source, result, since, until } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        res.json(await audit.query({ actor, action, source, result, since, until, limit, offset }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/audit/verify', auth.authorize('audit:read'), async (req, res) => {
+    try {
+        res.json(await audit.verify());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Server-side application logs, newest first; level=warn returns warnings and errors
+app.get('/api/logs', auth.authorize('logs:read'), async (req, res) => {
+    try {
+        const { level, bot, component, requestId, since, until, search } = req.query;
+        if (level && LEVELS[level] === undefined) {
+            return res.status(400).json({ error: `Invalid level. Use one of: ${Object.keys(LEVELS).join(', ')}` });
+        }
+        if ([since, until].some(value => value && isNaN(new Date(value).getTime()))) {
+            return res.status(400).json({ error: 'since and until must be ISO 8601 timestamps' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        res.json(await rootLogger.query({ level, bot, component, requestId, since, until, search, limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Dashboard accounts and roles
+app.get('/api/users', auth.authorize('users:manage'), async (req, res) => {
+    try {
+        await auth.users.refresh();
+        res.json({ users: auth.users.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/users', audit.middleware('user.create'), auth.authorize('users:manage'), async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        res.status(201).json(await auth.users.create(username, password, role));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.patch('/api/users/:username', audit.middleware('user.update'), auth.authorize('users:manage'), async (req, res) => {
+    try {
+        const user = await auth.users.setRole(req.params.username, req.body.role);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/users/:username', audit.middleware('user.delete'), auth.authorize('users:manage'), async (req, res) => {
+    try {
+        if (req.params.username === req.user.username) {
+            return res.status(409).json({ error: 'You cannot delete your own account' });
+        }
+        if (!(await auth.users.remove(req.params.username))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Dashboard route
 app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'dashboard.html'));
@@ -200,6 +437,7 @@ app.post('/create-payment-intent', async (req, res) => {
         
         // Validate service and amount
         if (!SERVICES[service] || SERVICES[service].price !== amount) {
+            metrics.recordPayment(SERVICES[service] ? service : 'unknown', 'invalid');
             return res.status(400).json({ error: 'Invalid service or amount' });
         }
         
@@ -216,11 +454,13 @@ app.post('/create-payment-intent', async (req, res) => {
             description: serviceInfo.description
         });
         
+        metrics.recordPayment(service, 'created');
         res.json({
             client_secret: paymentIntent.client_secret
         });
     } catch (error) {
-        console.error('Payment intent creation error:', error);
+        metrics.recordPayment(req.body && SERVICES[req.body.service] ? req.body.service : 'unknown', 'error');
+        logger.error('Payment intent creation error', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -235,28 +475,41 @@ app.post('/webhook', express.raw({type: 'application/json'}), (req, res) => {
     try {
         event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
     } catch (err) {
-        console.log(`Webhook signature verification failed.`, err.message);
+        metrics.recordWebhookEvent('invalid_signature');
+        logger.warn('Webhook signature verification failed', { error: err });
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
     
+    metrics.recordWebhookEvent(event.type);
+
     // Handle the event
     switch (event.type) {
         case 'payment_intent.succeeded':
             const paymentIntent = event.data.object;
-            console.log('PaymentIntent was successful!', paymentIntent.id);
+            logger.info('PaymentIntent was successful', { paymentIntent: paymentIntent.id });
+            metrics.recordPayment(paymentIntent.metadata && paymentIntent.metadata.service, 'succeeded');
             // Handle successful payment (e.g., send confirmation email, update database)
             break;
+        case 'payment_intent.payment_failed':
+            metrics.recordPayment(event.data.object.metadata && event.data.object.metadata.service, 'failed');
+            break;
         case 'payment_method.attached':
             const paymentMethod = event.data.object;
-            console.log('PaymentMethod was attached to a Customer!', paymentMethod.id);
+            logger.info('PaymentMethod was attached to a Customer', { paymentMethod: paymentMethod.id });
             break;
         default:
-            console.log(`Unhandled event type ${event.type}`);
+            logger.debug(`Unhandled event type ${event.type}`);
     }
     
     res.json({received: true});
 });
 
+// Prometheus scrape endpoint; scrapers authenticate with an API key (bearer_token in the scrape config)
+app.get('/metrics', auth.authorize('metrics:read'), (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // API endpoints for services
 app.get('/api/services', (req, res) => {
     res.json(SERVICES);
@@ -270,11 +523,81 @@ app.get('/api/services/:serviceId', (req, res) => {
     res.json(service);
 });
 
+// Payments administration: recent PaymentIntents and refunds. Customers keep using the public endpoints above
+function paymentSummary(intent) {
+    return {
+        id: intent.id,
+        amount: intent.amount,
+        currency: intent.currency,
+        status: intent.status,
+        service: intent.metadata ? intent.metadata.service || null : null,
+        created: new Date(intent.created * 1000).toISOString()
+    };
+}
+
+app.get('/api/payments', auth.authorize('payments:admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+        const payments = await stripe.paymentIntents.list({ limit });
+        res.json({ payments: payments.data.map(paymentSummary), hasMore: payments.has_more });
+    } catch (error) {
+        logger.error('Failed to list payments', { error });
+        res.status(500).json({ error: 'Failed to list payments' });
+    }
+});
+
+// Refunds the whole payment unless the body names an amount in cents
+app.post('/api/payments/:id/refund', audit.middleware('payment.refund'), auth.authorize('payments:admin'), async (req, res) => {
+    const amount = req.body && req.body.amount !== undefined ? req.body.amount : null;
+    if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+        return res.status(400).json({ error: 'amount must be a positive integer number of cents' });
+    }
+
+    try {
+        const refund = await stripe.refunds.create({
+            payment_intent: req.params.id,
+            ...(amount !== null ? { amount } : {})
+        });
+        logger.info(`Refunded payment ${req.params.id}`, { refund: refund.id, amount: refund.amount, user: req.user.username });
+        res.json({ id: refund.id, paymentIntent: req.params.id, amount: refund.amount, currency: refund.currency, status: refund.status });
+    } catch (error) {
+        if (error.type === 'StripeInvalidRequestError') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Refund failed', { error, paymentIntent: req.params.id });
+        res.status(500).json({ error: 'Refund failed' });
+    }
+});
+
 // API endpoints for bot data
 app.get('/api/bots/stats', (req, res) => {
     res.json(botManager.getAllStats());
 });
 
+// Per-bot activity over time: ?bot=domainHunter&from=2026-01-01T00:00:00Z&to=...&step=minute|hour|day
+app.get('/api/stats/history', (req, res) => {
+    try {
+        const { bot, step } = req.query;
+        const [from, to] = [req.query.from, req.query.to].map(value => value ? new Date(value).getTime() : null);
+        if ([from, to].some(value => Number.isNaN(value))) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+        }
+        const history = botManager.getStatsHistory({ bot, from, to, step });
+        if (!history) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+        res.json(history);
+    } catch (error) {
+        res.status(error.code === 'INVALID_HISTORY_QUERY' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/domains', (req, res) => {
+    const { bot, status, type } = req.query;
+    const domains = botManager.getDomains({ bot, status, type });
+    res.json({ total: domains.length, domains });
+});
+
 app.get('/api/bots/:botName/status', (req, res) => {
     const status = botManager.getBotStatus(req.params.botName);
     if (!status) {
@@ -283,43 +606,172 @@ app.get('/api/bots/:botName/status', (req, res) => {
     res.json(status);
 });
 
-app.post('/api/bots/start', (req, res) => {
+app.post('/api/bots/start', audit.middleware('bots.startAll'), auth.authorize('bots:control'), (req, res) => {
     botManager.startAllBots();
     res.json({ message: 'All bots started', timestamp: new Date() });
 });
 
-app.post('/api/bots/stop', (req, res) => {
+app.post('/api/bots/stop', audit.middleware('bots.stopAll'), auth.authorize('bots:control'), (req, res) => {
     botManager.stopAllBots();
     res.json({ message: 'All bots stopped', timestamp: new Date() });
 });
 
-// Export data endpoint
-app.get('/api/export/:format', (req, res) => {
-    const { format } = req.params;
-    const stats = botManager.getAllStats();
-    
-    if (format === 'json') {
-        res.setHeader('Content-Disposition', 'attachment; filename=bot-data.json');
-        res.setHeader('Content-Type', 'application/json');
-        res.json(stats);
-    } else if (format === 'csv') {
-        res.setHeader('Content-Disposition', 'attachment; filename=bot-data.csv');
-        res.setHeader('Content-Type', 'text/csv');
-        
-        // Generate CSV data
-        let csv = 'Bot,Status,Domains Scanned,Domains Discovered,Domains Acquired,Errors\n';
-        stats.bots.forEach(bot => {
-            csv += `${bot.name},${bot.status.isActive ? 'Active' : 'Inactive'},${bot.status.stats.domainsScanned},${bot.status.stats.domainsDiscovered},${bot.status.stats.domainsAcquired},${bot.status.stats.errors}\n`;
+// Acquisition budget
+app.get('/api/budget', (req, res) => {
+    res.json(botManager.getBudgetStatus());
+});
+
+// Manual domain appraisal
+app.get('/api/appraise', (req, res) => {
+    const domain = (req.query.domain || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        return res.status(400).json({ error: 'Provide a valid domain, e.g. /api/appraise?domain=example.com' });
+    }
+    res.json(botManager.appraiseDomain(domain, { category: req.query.category }));
+});
+
+// Keyword watchlists that drive name generation
+app.get('/api/watchlists', (req, res) => {
+    res.json({ watchlists: botManager.getWatchlists({ bot: req.query.bot }) });
+});
+
+app.get('/api/watchlists/:id', (req, res) => {
+    const watchlist = botManager.getWatchlist(req.params.id);
+    if (!watchlist) {
+        return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(watchlist);
+});
+
+app.post('/api/watchlists', audit.middleware('watchlist.create'), auth.authorize('bots:configure'), async (req, res) => {
+    try {
+        res.status(201).json(await botManager.createWatchlist(req.body));
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/watchlists/:id', audit.middleware('watchlist.update'), auth.authorize('bots:configure'), async (req, res) => {
+    try {
+        const watchlist = await botManager.updateWatchlist(req.params.id, req.body);
+        if (!watchlist) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+        res.json(watchlist);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/watchlists/:id', audit.middleware('watchlist.delete'), auth.authorize('bots:configure'), async (req, res) => {
+    try {
+        if (!(await botManager.deleteWatchlist(req.params.id))) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Acquisition approval queue
+app.get('/api/approvals', (req, res) => {
+    const { status, bot } = req.query;
+    res.json({ approvals: botManager.getApprovals({ status, bot }) });
+});
+
+app.post('/api/approvals/:id/approve', audit.middleware('approval.approve'), auth.authorize('approvals:decide'), async (req, res) => {
+    try {
+        const decision = await botManager.approveAcquisition(req.params.id, req.user.username);
+        if (!decision) {
+            return res.status(404).json({ error: 'Approval not found' });
+        }
+        res.json(decision);
+    } catch (error) {
+        res.status(error.code === 'APPROVAL_NOT_PENDING' ? 409 : 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/approvals/:id/reject', audit.middleware('approval.reject'), auth.authorize('approvals:decide'), (req, res) => {
+    try {
+        const decision = botManager.rejectAcquisition(req.params.id, req.user.username, req.body.reason || null);
+        if (!decision) {
+            return res.status(404).json({ error: 'Approval not found' });
+        }
+        res.json(decision);
+    } catch (error) {
+        res.status(error.code === 'APPROVAL_NOT_PENDING' ? 409 : 500).json({ error: error.message });
+    }
+});
+
+// Runtime bot configuration
+app.get('/api/bots/:botName/config', (req, res) => {
+    const config = botManager.getBotConfig(req.params.botName);
+    if (!config) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+    res.json(config);
+});
+
+app.patch('/api/bots/:botName/config', audit.middleware('bot.configure'), auth.authorize('bots:configure'), async (req, res) => {
+    try {
+        const config = await botManager.updateBotConfig(req.params.botName, req.body);
+        if (!config) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+        res.json(config);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/bots/:botName/frontier', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const frontier = await botManager.getFrontier(req.params.botName, { limit });
+        if (!frontier) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+        res.json(frontier);
+    } catch (error) {
+        res.status(error.code === 'NO_FRONTIER' ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// Per-bot lifecycle control
+app.post('/api/bots/:botName/:action(start|stop|pause|resume|restart)', audit.middleware((req) => `bot.${req.params.action}`), auth.authorize('bots:control'), (req, res) => {
+    try {
+        const { botName, action } = req.params;
+        const status = botManager.controlBot(botName, action);
+        if (!status) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+        res.json({
+            success: true,
+            message: `${status.name} ${action} requested`,
+            status,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
         });
-        res.send(csv);
-    } else {
-        res.status(400).json({ error: 'Invalid format. Use json or csv' });
     }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    logger.error('Unhandled request error', { error: err });
     res.status(500).json({ error: 'Something went wrong!' });
 });
 
@@ -329,22 +781,83 @@ app.use((req, res) => {
 });
 
 // WebSocket connection handling
+io.use(auth.socketMiddleware());
+
+// Control events share one wrapper: permission check, optional ack, and an audit entry with the outcome
+function onControlEvent(socket, event, { permission, action }, handler) {
+    socket.on(event, async (...args) => {
+        const reply = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+        const payload = args[0];
+        const user = auth.current(socket.data.user);
+        const record = (result, error = null) => audit.record({
+            actor: user ? user.username : null,
+            role: user ? user.role : null,
+            source: 'socket',
+            action,
+            params: payload && typeof payload === 'object' ? payload : { value: payload },
+            result,
+            error,
+            ip: socket.handshake.address
+        }).catch(() => {});
+
+        if (!user || !can(user.role, permission)) {
+            record('denied');
+            return reply({ success: false, error: `Forbidden: requires ${permission}` });
+        }
+        if (botManager.isShuttingDown) {
+            record('failure', 'Server is shutting down');
+            return reply({ success: false, error: 'Server is shutting down' });
+        }
+
+        try {
+            const response = await handler(payload, user);
+            record(response.success ? 'success' : 'failure', response.error || null);
+            reply(response);
+        } catch (error) {
+            record('failure', error.message);
+            reply({ success: false, error: error.message });
+        }
+    });
+}
+
 io.on('connection', (socket) => {
-    console.log('Client connected to dashboard');
+    logger.debug('Client connected to dashboard', { socket: socket.id });
     
     // Send current stats on connection
     socket.emit('stats', botManager.getAllStats());
+    socket.emit('approvals', botManager.getApprovals({ status: 'pending' }));
     
-    socket.on('startBots', () => {
+    onControlEvent(socket, 'startBots', { permission: 'bots:control', action: 'bots.startAll' }, () => {
         botManager.startAllBots();
+        return { success: true };
     });
     
-    socket.on('stopBots', () => {
+    onControlEvent(socket, 'stopBots', { permission: 'bots:control', action: 'bots.stopAll' }, () => {
         botManager.stopAllBots();
+        return { success: true };
+    });
+
+    onControlEvent(socket, 'approveAcquisition', { permission: 'approvals:decide', action: 'approval.approve' }, async (payload, user) => {
+        const decision = await botManager.approveAcquisition(payload && payload.id, user.username);
+        return decision ? { success: true, ...decision } : { success: false, error: 'Approval not found' };
+    });
+
+    onControlEvent(socket, 'rejectAcquisition', { permission: 'approvals:decide', action: 'approval.reject' }, (payload, user) => {
+        const decision = botManager.rejectAcquisition(payload && payload.id, user.username, payload && payload.reason);
+        return decision ? { success: true, ...decision } : { success: false, error: 'Approval not found' };
+    });
+
+    // Per-bot control: socket.emit('pauseBot', { bot: 'domainHunter' }, ack)
+    ['start', 'stop', 'pause', 'resume', 'restart'].forEach(action => {
+        onControlEvent(socket, `${action}Bot`, { permission: 'bots:control', action: `bot.${action}` }, (payload) => {
+            const botKey = typeof payload === 'string' ? payload : payload && payload.bot;
+            const status = botManager.controlBot(botKey, action);
+            return status ? { success: true, status } : { success: false, error: 'Bot not found' };
+        });
     });
     
     socket.on('disconnect', () => {
-        console.log('Client disconnected from dashboard');
+        logger.debug('Client disconnected from dashboard', { socket: socket.id });
     });
 });
 
@@ -361,6 +874,11 @@ botManager.on('status', (data) => {
     io.emit('status', data);
 });
 
+// Bot failures (including crashed bot workers) are reported, never rethrown, so one bot can't take the server down
+botManager.on('error', (data) => {
+    io.emit('botError', { bot: data.bot, status: data.status, message: data.message, timestamp: data.timestamp });
+});
+
 botManager.on('allBotsStarted', (data) => {
     io.emit('allBotsStarted', data);
 });
@@ -369,10 +887,84 @@ botManager.on('allBotsStopped', (data) => {
     io.emit('allBotsStopped', data);
 });
 
+botManager.on('approvalRequested', (data) => {
+    io.emit('approvalRequested', data);
+});
+
+botManager.on('approvalDecided', (data) => {
+    io.emit('approvalDecided', data);
+});
+
+botManager.on('budgetAlert', (data) => {
+    io.emit('budgetAlert', data);
+});
+
+botManager.on('configChanged', (data) => {
+    io.emit('configChanged', data);
+});
+
+botManager.on('watchlistChanged', (data) => {
+    io.emit('watchlistChanged', data);
+});
+
+exportJobs.on('updated', (job) => {
+    io.emit('exportJob', job);
+});
+
+botManager.on('statsSampled', (data) => {
+    io.emit('statsSampled', data);
+});
+
+botManager.on('domainsImported', (data) => {
+    io.emit('domainsImported', data);
+});
+
+botManager.on('botControl', (data) => {
+    io.emit('botControl', data);
+    io.emit('stats', botManager.getAllStats());
+});
+
 server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Portfolio available at http://localhost:${PORT}`);
-    console.log(`Bot Dashboard available at http://localhost:${PORT}/dashboard`);
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`Portfolio available at http://localhost:${PORT}`);
+    logger.info(`Bot Dashboard available at http://localhost:${PORT}/dashboard`);
 });
 
+// Graceful shutdown for PM2 restarts, Docker stops and Ctrl+C; a second signal exits immediately
+async function shutdown(signal) {
+    if (botManager.isShuttingDown) {
+        logger.warn(`Received ${signal} again, exiting without waiting`);
+        rootLogger.flush().then(() => process.exit(1));
+        return;
+    }
+
+    const timeout = botManager.config.shutdownTimeout;
+    logger.info(`Received ${signal}, shutting down (waiting up to ${timeout}ms for in-flight acquisitions)`);
+    io.emit('serverShutdown', { signal, timeout, timestamp: new Date().toISOString() });
+
+    // Last resort if draining, the export or closing connections hangs
+    setTimeout(() => {
+        logger.error('Shutdown did not finish in time, exiting');
+        process.exit(1);
+    }, timeout + 15000).unref();
+
+    try {
+        const summary = await botManager.shutdown({ timeout });
+        logger.info(`Bots stopped (${summary.drained ? 'all acquisitions finished' : `${summary.abandoned} acquisition(s) abandoned`}), final export: ${summary.exported || 'failed'}`);
+    } catch (error) {
+        logger.error('Bot shutdown failed', { error });
+    }
+
+    // Disconnects the dashboards and closes the HTTP server once open requests have finished
+    io.close(async () => {
+        logger.info('HTTP server closed');
+        await rootLogger.flush();
+        process.exit(0);
+    });
+    server.closeIdleConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
\ No newline at end of file
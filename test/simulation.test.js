@@ -0,0 +1,174 @@
+/**
+ * Simulation tests - A seeded bot run under VirtualClock must reproduce the same discoveries and acquisitions
+ * Availability and the registrar are in-memory stubs, so the runs need no network and no real waits
+ */
+
+// The root logger reads its settings at require time
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_TO_FILE = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BotManager = require('../bots/botManager');
+const { DomainHunterBot } = BotManager;
+const DomainStore = require('../bots/domainStore');
+const DomainRegistry = require('../bots/domainRegistry');
+const { BudgetManager } = require('../bots/budgetManager');
+const { WatchlistManager } = require('../bots/watchlistManager');
+const { DomainValuator } = require('../bots/domainValuator');
+const { createIdSource, createRandom, VirtualClock } = require('../bots/simulation');
+
+const START = '2026-01-01T00:00:00.000Z';
+
+// What seed "simulation-test" produces in the first 15 simulated seconds (a search every 3s)
+const EXPECTED_EVENTS = [
+    { event: 'discovery', domain: 'cryptospace8362.org', at: '2026-01-01T00:00:00.000Z' },
+    { event: 'acquisition', domain: 'cryptospace8362.org', success: true, at: '2026-01-01T00:00:00.000Z' },
+    { event: 'discovery', domain: 'aiasset6325.io', at: '2026-01-01T00:00:06.000Z' },
+    { event: 'acquisition', domain: 'aiasset6325.io', success: true, at: '2026-01-01T00:00:06.000Z' },
+    { event: 'discovery', domain: 'metaasset6124.com', at: '2026-01-01T00:00:15.000Z' },
+    { event: 'acquisition', domain: 'metaasset6124.com', success: true, at: '2026-01-01T00:00:15.000Z' }
+];
+
+// Every name whose number is a multiple of 3 is taken; the rest are free
+const availabilityChecker = {
+    async check(domain) {
+        const available = Number(domain.match(/\d+/)[0]) % 3 !== 0;
+        const status = available ? 'available' : 'registered';
+        return { domain, status, available, discoverable: available, expiresAt: null };
+    }
+};
+
+const registrar = {
+    name: 'simulated',
+    async checkAvailability() {
+        return { available: true };
+    },
+    async quotePrice() {
+        return { price: 12, currency: 'USD' };
+    },
+    async getBalance() {
+        return { available: null };
+    },
+    async register(domain) {
+        return { success: true, orderId: `order-${domain}`, price: 12, currency: 'USD' };
+    }
+};
+
+// Runs one Domain Hunter for `duration` simulated ms and returns what it reported, in order
+async function simulate(seed, duration) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'simulation-test-'));
+    const clock = new VirtualClock(START);
+    const store = new DomainStore({ dataDir, clock });
+    await store.open();
+    const budget = new BudgetManager({ dataDir, clock });
+
+    const bot = new DomainHunterBot({
+        key: 'domainHunter',
+        clock,
+        random: createRandom(`${seed}:domainHunter`),
+        store,
+        registry: new DomainRegistry({ clock }),
+        budget,
+        valuator: new DomainValuator(),
+        availabilityChecker,
+        registrar,
+        minAcquisitionScore: 0
+    });
+
+    const events = [];
+    bot.on('discovery', ({ domain }) => events.push({ event: 'discovery', domain, at: clock.date().toISOString() }));
+    bot.on('acquisition', ({ domain, success }) => events.push({ event: 'acquisition', domain, success, at: clock.date().toISOString() }));
+    bot.on('error', ({ error }) => events.push({ event: 'error', message: error.message }));
+
+    bot.start();
+    await clock.advance(duration);
+    bot.stop();
+    await Promise.all([store.writeQueue, budget.writeQueue]);
+
+    const records = store.list();
+    await fs.rm(dataDir, { recursive: true, force: true });
+    return { events, records, stats: bot.stats };
+}
+
+// Runs a whole BotManager fleet for `duration` simulated ms, shuts it down and returns the portfolio it built
+async function simulateFleet(seed, duration) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'simulation-test-'));
+    const clock = new VirtualClock(START);
+    const manager = new BotManager({ seed, clock, dataDir, availabilityChecker, registrar, isolation: { mode: 'inprocess' } });
+    const events = [];
+    manager.on('error', ({ message }) => events.push({ event: 'error', message }));
+
+    try {
+        await manager.ready;
+        // Frontier files are read from disk, which takes real time the virtual clock can't wait for
+        await Promise.all(Object.values(manager.bots).map(bot => bot.frontier && bot.frontier.load()));
+        manager.startAllBots();
+        await clock.advance(duration);
+        await manager.shutdown();
+
+        const records = manager.store.list()
+            .map(({ domain, bot, status, discoveredAt, acquiredAt }) => ({ domain, bot, status, discoveredAt, acquiredAt }))
+            .sort((a, b) => a.domain.localeCompare(b.domain));
+        return { events, records, stats: manager.stats };
+    } finally {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('the same seed reproduces the exact discovery and acquisition sequence', async () => {
+    const { events, stats } = await simulate('simulation-test', 15000);
+
+    assert.deepStrictEqual(events, EXPECTED_EVENTS);
+    assert.strictEqual(stats.domainsScanned, 6);
+    assert.deepStrictEqual(await simulate('simulation-test', 15000).then(run => run.events), events);
+});
+
+test('a different seed produces a different sequence', async () => {
+    const first = await simulate('simulation-test', 15000);
+    const second = await simulate('another-seed', 15000);
+
+    assert.notDeepStrictEqual(second.events, first.events);
+});
+
+test('stored domains carry simulated timestamps', async () => {
+    const { records } = await simulate('simulation-test', 15000);
+
+    const stamps = records.map(({ domain, status, discoveredAt, acquiredAt }) => ({ domain, status, discoveredAt, acquiredAt }));
+    assert.deepStrictEqual(stamps, EXPECTED_EVENTS
+        .filter(({ event }) => event === 'acquisition')
+        .map(({ domain, at }) => ({ domain, status: 'acquired', discoveredAt: at, acquiredAt: at })));
+});
+
+test('seeded watchlists get reproducible ids and simulated timestamps', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'simulation-test-'));
+    const create = async () => {
+        const watchlists = new WatchlistManager({ dataDir, clock: new VirtualClock(START), newId: createIdSource(createRandom('simulation-test:ids')) });
+        return watchlists.create({ name: 'Coffee', keywords: ['coffee'] });
+    };
+
+    try {
+        const first = await create();
+        const second = await create();
+
+        assert.match(first.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        assert.strictEqual(second.id, first.id);
+        assert.strictEqual(first.createdAt, START);
+    } finally {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('a seeded BotManager run is reproducible end to end', async () => {
+    const first = await simulateFleet('simulation-test', 60000);
+    const second = await simulateFleet('simulation-test', 60000);
+
+    assert.deepStrictEqual(first.events, []);
+    assert.ok(first.records.some(record => record.status === 'acquired'));
+    assert.deepStrictEqual(new Set(first.records.map(record => record.bot)), new Set(['Domain Hunter', 'Asset Seeker', 'Recursive Explorer']));
+    assert.deepStrictEqual(second.records, first.records);
+    assert.deepStrictEqual(second.stats, first.stats);
+});